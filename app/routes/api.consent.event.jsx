@@ -1,7 +1,14 @@
 // app/routes/api.consent.event.js
+//
+// Widget events for widget releases before /api/v1 (sessionId in the body).
+// Kept for older installs; checks live in consent-events.server.js.
 import { json } from "@remix-run/node";
-import { prisma } from "../../app/db.server";
 import { authenticate } from "../../app/shopify.server";
+import { clientIpFrom } from "~/utils/ip.server.js";
+import { errorPayload } from "~/utils/cors.server";
+import { rateLimitedResponse } from "~/services/rate-limit.server";
+import { recordWidgetEvent } from "~/services/consent-events.server";
+import { shopFromDest } from "~/services/widget-api.server";
 
 // Build correct CORS headers for the caller
 function corsHeadersFrom(request) {
@@ -44,46 +51,30 @@ export async function action({ request }) {
     return cors(new Response(null, { status: 204 }));
   }
 
+  // Errors carry a stable code for the widget/logs plus a readable message
+  const fail = (status, code, error, details) => cors(json(errorPayload(code, error, details), { status }));
+
   // Parse JSON body
   let body;
   try {
     body = await request.json();
   } catch {
-    return cors(json({ error: "Invalid JSON" }, { status: 400 }));
-  }
-
-  const { sessionId, type, state, country, note } = body || {};
-  if (!sessionId || !type) {
-    return cors(json({ error: "Missing sessionId or type" }, { status: 400 }));
+    return fail(400, "INVALID_JSON", "Invalid JSON");
   }
 
-  // Normalize "dest" → "mystore.myshopify.com"
-  const shop = (() => {
-    const dest = sessionToken?.dest || "";
-    try { return new URL(dest).host; } catch { return String(dest).replace(/^https?:\/\//, ""); }
-  })();
+  const shop = shopFromDest(sessionToken?.dest);
 
   // Optional: read the checkout token header if you want it in your audit
   const checkoutToken = request.headers.get("x-checkout-token") || null;
 
-  const evt = await prisma.consentEvent.create({
-    data: {
-      sessionId,
-      type,
-      state,
-      country: country ?? null,
-      note: note ?? null
-    },
-    select: { sessionId: true },
-  });
-
-  try {
-    await prisma.consentSession.update({
-      where: { id: evt.sessionId },
-      data: {}, // just to bump updatedAt via @updatedAt
-    });
-  } catch {
-    // No-op: the session will be created elsewhere (e.g., /api/settings/privacy or /start)
+  const { ip } = clientIpFrom(request.headers);
+  const result = await recordWidgetEvent({ shop, sessionId: body?.sessionId, body, ip });
+  if (!result.ok) {
+    if (result.status === 429) return rateLimitedResponse(cors, result.retryAfter);
+    return fail(result.status, result.code, result.error, result.details);
+  }
+  if (result.duplicate) {
+    return cors(json({ ok: true, duplicate: true }, { headers: { "Cache-Control": "no-store" } }));
   }
 
   return cors(
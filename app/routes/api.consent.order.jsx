@@ -0,0 +1,136 @@
+// app/routes/api.consent.order.jsx
+//
+// Thank-you / order status page: show the consent outcome recorded for the
+// order's checkout and let the buyer change it.
+//   ?surface=thank-you     checkout session token + X-Checkout-Token
+//   ?surface=order-status  customer account session token + X-Order-Id; the
+//                          order must belong to the signed-in customer
+import { json } from "@remix-run/node";
+import { prisma } from "~/db.server";
+import { authenticate } from "~/shopify.server";
+import { shopFromDest } from "~/services/widget-api.server";
+
+const CORS_HEADERS = ["Authorization", "Content-Type", "X-Checkout-Token", "X-Order-Id"];
+
+const SOURCES = { "thank-you": "Thank you page", "order-status": "Order status page" };
+
+// "gid://shopify/Order/123" / "gid://shopify/OrderIdentity/123" → "123"
+const numericId = (gid) => String(gid || "").split("/").pop() || null;
+
+async function authenticateSurface(request) {
+  const surface = new URL(request.url).searchParams.get("surface") === "order-status" ? "order-status" : "thank-you";
+  const opts = { corsHeaders: CORS_HEADERS, allowMethods: ["GET", "POST", "OPTIONS"] };
+  const { cors, sessionToken } =
+    surface === "order-status"
+      ? await authenticate.public.customerAccount(request, opts)
+      : await authenticate.public.checkout(request, opts);
+  return { surface, cors, sessionToken, shop: shopFromDest(sessionToken?.dest) };
+}
+
+// The checkout this buyer may see and change, or null
+async function findSession({ surface, sessionToken, shop }, request) {
+  const select = {
+    id: true,
+    mode: true,
+    subscribed: true,
+    orderId: true,
+    customer: { select: { id: true, shopifyCustomerId: true, lastState: true } },
+  };
+
+  if (surface === "thank-you") {
+    // The checkout token is only known to the buyer's browser
+    const checkoutToken = request.headers.get("x-checkout-token") || "";
+    if (!checkoutToken) return null;
+    return prisma.consentSession.findFirst({ where: { shop, checkoutToken }, select });
+  }
+
+  const orderId = numericId(request.headers.get("x-order-id"));
+  const customerId = numericId(sessionToken?.sub);
+  if (!orderId || !customerId) return null;
+  const session = await prisma.consentSession.findFirst({ where: { shop, orderId }, select });
+  return session?.customer?.shopifyCustomerId === customerId ? session : null;
+}
+
+// The orders webhook ran and found no customer to hold consent (no email on the
+// order): there's nothing to show or change, and nothing would ever pick up a
+// pending change, so say so rather than accept it
+const noCustomer = (cors) =>
+  cors(
+    json(
+      { ok: false, code: "NO_CUSTOMER", error: "This order has no customer record, so its consent can't be changed here" },
+      { status: 409, headers: { "Cache-Control": "no-store" } }
+    )
+  );
+
+// What the buyer sees: the customer's current state once the order is processed,
+// else their own latest change, else "still being recorded"
+async function outcome(session) {
+  if (session.customer) return { state: session.customer.lastState || "NOT_SUBSCRIBED", pending: false };
+  const change = await prisma.consentEvent.findFirst({
+    where: { sessionId: session.id, type: "post_checkout_change", channel: "email" },
+    orderBy: { createdAt: "desc" },
+    select: { state: true },
+  });
+  return { state: change?.state || null, pending: true };
+}
+
+export async function loader({ request }) {
+  const auth = await authenticateSurface(request);
+  const { cors } = auth;
+  if (request.method === "OPTIONS") return cors(new Response(null, { status: 204 }));
+
+  const session = await findSession(auth, request);
+  if (!session) return cors(json({ ok: false, error: "Not found" }, { status: 404 }));
+  if (session.orderId && !session.customer) return noCustomer(cors);
+
+  return cors(
+    json(
+      { ok: true, sessionId: session.id, mode: session.mode, ...(await outcome(session)) },
+      { headers: { "Cache-Control": "no-store" } }
+    )
+  );
+}
+
+export async function action({ request }) {
+  const auth = await authenticateSurface(request);
+  const { cors, surface, shop } = auth;
+  if (request.method === "OPTIONS") return cors(new Response(null, { status: 204 }));
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return cors(json({ ok: false, error: "Invalid JSON" }, { status: 400 }));
+  }
+  if (typeof body?.subscribe !== "boolean") {
+    return cors(json({ ok: false, error: "subscribe must be true or false" }, { status: 400 }));
+  }
+
+  const session = await findSession(auth, request);
+  if (!session) return cors(json({ ok: false, error: "Not found" }, { status: 404 }));
+  if (session.orderId && !session.customer) return noCustomer(cors);
+
+  const state = body.subscribe ? "SUBSCRIBED" : "UNSUBSCRIBED";
+  const note = { source: SOURCES[surface], orderId: session.orderId || null };
+
+  if (session.customer) {
+    const { applyConsentChange } = await import("~/services/consent-change.server");
+    await applyConsentChange({
+      shop,
+      customerId: session.customer.id,
+      state,
+      type: "post_checkout_change",
+      sessionId: session.id,
+      note,
+    });
+  } else {
+    // Orders webhook hasn't run yet: it picks this up as the latest choice
+    await prisma.consentEvent.create({
+      data: { sessionId: session.id, type: "post_checkout_change", state, note: JSON.stringify(note) },
+    });
+  }
+
+  return cors(
+    json({ ok: true, state, pending: !session.customer }, { headers: { "Cache-Control": "no-store" } })
+  );
+}
@@ -0,0 +1,165 @@
+// app/routes/api.consent.preferences.jsx
+//
+// Customer account preference center: the signed-in customer's marketing state
+// per channel and purpose, and changes to it. Who the customer is comes from
+// the customer account session token (`sub`), never from the request body.
+import { json } from "@remix-run/node";
+import { prisma } from "~/db.server";
+import { authenticate, unauthenticated } from "~/shopify.server";
+import { shopFromDest } from "~/services/widget-api.server";
+
+const CORS = { corsHeaders: ["Authorization", "Content-Type"], allowMethods: ["GET", "POST", "OPTIONS"] };
+
+const NOTE = { source: "Preference center" };
+
+const CUSTOMER_QUERY = `#graphql
+  query($id: ID!) {
+    customer(id: $id) {
+      email
+      phone
+      firstName
+      lastName
+      emailMarketingConsent { marketingState }
+      smsMarketingConsent { marketingState }
+    }
+  }
+`;
+
+// Shopify's states → ours (PENDING etc. count as not subscribed)
+function toState(raw) {
+  if (raw === "SUBSCRIBED") return "SUBSCRIBED";
+  if (raw === "UNSUBSCRIBED") return "UNSUBSCRIBED";
+  return "NOT_SUBSCRIBED";
+}
+
+// Our Customer row for the signed-in customer. Customers who never went through
+// the widget don't have one yet: create it from Shopify, as it stands there.
+async function ensureCustomer(shop, shopifyCustomerId) {
+  const existing = await prisma.customer.findFirst({ where: { shop, shopifyCustomerId } });
+  if (existing) return existing;
+
+  const { admin } = await unauthenticated.admin(shop);
+  const resp = await admin.graphql(CUSTOMER_QUERY, {
+    variables: { id: `gid://shopify/Customer/${shopifyCustomerId}` },
+  });
+  const c = (await resp.json())?.data?.customer;
+  if (!c) return null;
+
+  const email = (c.email || "").trim().toLowerCase() || null;
+  // Same email under another (or no) Shopify id: link it rather than duplicate
+  if (email) {
+    const byEmail = await prisma.customer.findUnique({ where: { shop_email: { shop, email } } });
+    if (byEmail) return prisma.customer.update({ where: { id: byEmail.id }, data: { shopifyCustomerId } });
+  }
+  return prisma.customer.create({
+    data: {
+      shop,
+      shopifyCustomerId,
+      email,
+      phone: c.phone || null,
+      firstName: c.firstName || null,
+      lastName: c.lastName || null,
+      lastState: toState(c.emailMarketingConsent?.marketingState),
+      lastSmsState: c.smsMarketingConsent ? toState(c.smsMarketingConsent.marketingState) : null,
+    },
+  });
+}
+
+async function authenticateCustomer(request) {
+  const { cors, sessionToken } = await authenticate.public.customerAccount(request, CORS);
+  const shop = shopFromDest(sessionToken?.dest);
+  // "gid://shopify/Customer/123" → "123"
+  const shopifyCustomerId = String(sessionToken?.sub || "").split("/").pop() || null;
+  return { cors, shop, shopifyCustomerId };
+}
+
+async function preferences(shop, customer) {
+  const { loadPurposes } = await import("~/services/consent-purposes.server");
+  const purposes = await loadPurposes(shop);
+  const stored = customer.purposes && typeof customer.purposes === "object" ? customer.purposes : {};
+  return {
+    email: { available: !!customer.email, state: customer.lastState || "NOT_SUBSCRIBED" },
+    sms: { available: !!customer.phone, state: customer.lastSmsState || "NOT_SUBSCRIBED" },
+    purposes: purposes.map((p) => ({
+      key: p.key,
+      label: p.label,
+      text: p.text,
+      state: stored[p.key] || "NOT_SUBSCRIBED",
+    })),
+  };
+}
+
+export async function loader({ request }) {
+  const { cors, shop, shopifyCustomerId } = await authenticateCustomer(request);
+  if (request.method === "OPTIONS") return cors(new Response(null, { status: 204 }));
+  if (!shopifyCustomerId) return cors(json({ ok: false, error: "Not signed in" }, { status: 401 }));
+
+  const customer = await ensureCustomer(shop, shopifyCustomerId);
+  if (!customer) return cors(json({ ok: false, error: "Customer not found" }, { status: 404 }));
+
+  return cors(
+    json({ ok: true, ...(await preferences(shop, customer)) }, { headers: { "Cache-Control": "no-store" } })
+  );
+}
+
+// Body: { channel: "email"|"sms", subscribe } or { purpose: "newsletter", subscribe }
+export async function action({ request }) {
+  const { cors, shop, shopifyCustomerId } = await authenticateCustomer(request);
+  if (request.method === "OPTIONS") return cors(new Response(null, { status: 204 }));
+  if (!shopifyCustomerId) return cors(json({ ok: false, error: "Not signed in" }, { status: 401 }));
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return cors(json({ ok: false, error: "Invalid JSON" }, { status: 400 }));
+  }
+  const { channel, purpose, subscribe } = body || {};
+  if (typeof subscribe !== "boolean") {
+    return cors(json({ ok: false, error: "subscribe must be true or false" }, { status: 400 }));
+  }
+
+  const customer = await ensureCustomer(shop, shopifyCustomerId);
+  if (!customer) return cors(json({ ok: false, error: "Customer not found" }, { status: 404 }));
+
+  const state = subscribe ? "SUBSCRIBED" : "UNSUBSCRIBED";
+  const { applyConsentChange, applyPurposeChange, CONSENT_CHANNELS } = await import(
+    "~/services/consent-change.server"
+  );
+
+  if (purpose != null) {
+    const known = await prisma.consentPurpose.findFirst({
+      where: { shop, key: String(purpose), active: true },
+      select: { key: true },
+    });
+    if (!known) return cors(json({ ok: false, error: "Unknown purpose" }, { status: 400 }));
+    await applyPurposeChange({
+      shop,
+      customerId: customer.id,
+      purposeKey: known.key,
+      state,
+      type: "preference_center_update",
+      note: NOTE,
+    });
+  } else {
+    if (!CONSENT_CHANNELS.includes(channel)) {
+      return cors(json({ ok: false, error: "Invalid channel" }, { status: 400 }));
+    }
+    if (channel === "sms" ? !customer.phone : !customer.email) {
+      return cors(json({ ok: false, error: `No ${channel === "sms" ? "phone number" : "email"} on file` }, { status: 409 }));
+    }
+    await applyConsentChange({
+      shop,
+      customerId: customer.id,
+      channel,
+      state,
+      type: "preference_center_update",
+      note: NOTE,
+    });
+  }
+
+  const updated = await prisma.customer.findUnique({ where: { id: customer.id } });
+  return cors(
+    json({ ok: true, ...(await preferences(shop, updated)) }, { headers: { "Cache-Control": "no-store" } })
+  );
+}
@@ -0,0 +1,40 @@
+// app/routes/api.health.jsx
+import { json } from "@remix-run/node";
+import { prisma } from "~/db.server";
+import { getGeoStatus } from "~/utils/geo.server.js";
+import { isEdgeConfigured } from "~/services/geo-providers.server";
+
+// Unauthenticated health check for uptime monitors. 503 only when the app DB is
+// down: GeoLite is an optional data file, and a host restarting "unhealthy"
+// instances over it would take the app down for nothing. Nothing able to
+// geolocate buyers (no GeoLite DB, no edge headers) is reported as
+// status "degraded": every buyer then gets the unknown-jurisdiction rule.
+export async function loader() {
+  let database = true;
+  try {
+    await prisma.$queryRaw`SELECT 1`;
+  } catch (e) {
+    console.warn("[health] database check failed:", e?.message || e);
+    database = false;
+  }
+
+  const geo = getGeoStatus();
+  const edge = isEdgeConfigured();
+  const geoOk = geo.ok || edge;
+
+  return json(
+    {
+      ok: database,
+      status: !database ? "down" : geoOk ? "ok" : "degraded",
+      database,
+      geo: {
+        ok: geoOk,
+        edge,
+        // no filesystem paths in a public response
+        databases: geo.databases.map((d) => ({ ...d, path: undefined })),
+        counters: geo.counters,
+      },
+    },
+    { status: database ? 200 : 503, headers: { "Cache-Control": "no-store" } }
+  );
+}
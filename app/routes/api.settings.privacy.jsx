@@ -1,124 +1,89 @@
 // app/routes/api.settings.privacy.jsx
+//
+// Widget settings for widget releases before /api/v1 (signals come as headers).
+// Kept as-is for older installs; new widgets call POST /api/v1/consent/sessions.
 import { json } from "@remix-run/node";
-import { prisma } from "~/db.server";
 import { authenticate } from "~/shopify.server";
-import { countryFromIp } from "~/utils/geo.server.js";
-import { randomUUID } from "crypto";
-
-function getClientIp(headers) {
-  const raw =
-    headers.get("x-forwarded-for") ||
-    headers.get("x-real-ip") ||
-    headers.get("x-client-ip") ||
-    headers.get("fastly-client-ip") ||
-    headers.get("fly-client-ip") ||
-    "";
-  return raw.split(",")[0].trim().replace(/^::ffff:/, "") || null;
-}
-
-// Normalize "dest" → "mystore.myshopify.com"
-function shopFromDest(dest) {
-  if (!dest) return "";
-  try {
-    return new URL(dest).host;
-  } catch (_) {
-    return String(dest).replace(/^https?:\/\//, "");
-  }
-}
+import { clientIpFrom } from "~/utils/ip.server.js";
+import { appOrigin, shopFromDest } from "~/services/widget-api.server";
 
 export async function loader({ request }) {
   const { cors, sessionToken } = await authenticate.public.checkout(request, {
-    corsHeaders: ["Authorization", "X-Checkout-Token", "X-Customer-Email"],
+    corsHeaders: [
+      "Authorization",
+      "X-Checkout-Token",
+      "X-Customer-Email",
+      "X-Shipping-Country",
+      "X-Shipping-Province",
+      "X-Billing-Country",
+      "X-Buyer-Country",
+      "X-Buyer-Locale",
+    ],
     allowMethods: ["GET", "OPTIONS"],
   });
 
-  const { pickRule } = await import("~/services/consent-matrix.server");
+  const { openConsentSession } = await import("~/services/consent-session.server");
 
   const shop = shopFromDest(sessionToken.dest);
   const checkoutToken = request.headers.get("x-checkout-token") || null;
   const emailHeader = request.headers.get("x-customer-email");
   const email = emailHeader ? String(emailHeader).toLowerCase().trim() : null;
-
-  const ip = getClientIp(request.headers);
-  const countryCode = countryFromIp(ip) ?? "GB";
-
-  const rule = await pickRule({
-    code: countryCode
-  });
-
-   // Optional lookup: are they currently unsubscribed in your DB?
-  let currentState = null;
-  if (email) {
-    const existing = await prisma.customer.findFirst({
-      where: { shop, email },
-      select: { lastState: true },
-    });
-    currentState = existing?.lastState || null; // "SUBSCRIBED" | "UNSUBSCRIBED" | "NOT_SUBSCRIBED" | null
-  }
-
-  // --- Load settings from DB ---
-  const settings = await prisma.appSettings.findUnique({
-    where: { shop: shop }
+  // Checkout language ("fr", "de-CH"…); copy falls back to the shop's default language
+  const buyerLocale = String(request.headers.get("x-buyer-locale") || "").trim().slice(0, 16) || null;
+
+  // Only proxies we trust get to tell us the buyer's IP (see ip.server.js)
+  const { ip, source: ipSource } = clientIpFrom(request.headers);
+
+  // Every call below costs lookups and an upsert: budget per shop and per checkout
+  const { checkRateLimit, rateLimitedResponse } = await import("~/services/rate-limit.server");
+  const limited = await checkRateLimit({ endpoint: "privacy", shop, checkout: checkoutToken, ip });
+  if (!limited.ok) return rateLimitedResponse(cors, limited.retryAfter);
+
+  const header = (name) => (request.headers.get(name) || "").trim().toUpperCase() || null;
+  const {
+    sessionId,
+    countryCode,
+    countrySource,
+    region,
+    mode,
+    smsMode,
+    locale,
+    displayText,
+    smsDisplayText,
+    purposes,
+    marketingPreferences,
+    privacyUrl,
+  } = await openConsentSession({
+    shop,
+    checkoutToken,
+    email,
+    buyerLocale,
+    countries: {
+      shipping: header("x-shipping-country"),
+      billing: header("x-billing-country"),
+      localization: header("x-buyer-country"),
+    },
+    shippingProvince: request.headers.get("x-shipping-province"),
+    headers: request.headers,
+    ip,
+    ipSource,
   });
 
-  // Safe fallbacks if settings are missing
-  const optInText =
-    settings?.optInText ??
-    'We would like to email you news, special offers and other promotional material that may be of interest to you. Tick the box to <b>opt in</b>.';
-  const optOutText =
-    settings?.optOutText ??
-    'We would like to email you news, special offers and other promotional material that may be of interest to you. Tick the box to <b>opt out.</b>';
-  const noCheckboxText =
-    settings?.noCheckboxText ??
-    "";
-  const marketingPreferences = settings?.marketingInfo ?? "";
-  const privacyUrl = settings?.privacyUrl ?? "";
-
-  // Determine consent mode by country and previously unsubscribed status
-  const baseMode = rule?.widget || "OPT_IN";
-  const mode = currentState === "UNSUBSCRIBED" ? "OPT_IN" : baseMode;
-
-  // Pick display text from DB according to mode
-  const displayText =
-    mode === "OPT_IN" ? optInText : mode === "OPT_OUT" ? optOutText : noCheckboxText;
-
-  // Persist/refresh a consent session if a checkout token is present
-  let sessionId = null;
-  if (checkoutToken) {
-    const session = await prisma.consentSession.upsert({
-      where: { checkoutToken },
-      create: {
-        id: randomUUID(),
-        shop,
-        checkoutToken,
-        mode,
-        displayText,
-        privacyUrl,
-        marketingPreferences,
-        country: countryCode,
-        ipCountry: countryCode,
-      },
-      update: {
-        mode,
-        displayText,
-        privacyUrl,
-        marketingPreferences,
-        country: countryCode,
-        ipCountry: countryCode,
-      },
-      select: { id: true },
-    });
-    sessionId = session.id;
-  }
-
   return cors(
     json(
       {
         sessionId,
         storeDomain: shop,
+        apiBase: appOrigin(),
         countryCode,
+        countrySource,
+        region,
         mode,                     // OPT_IN | OPT_OUT | NO_CHECKBOX
+        smsMode,                  // same values; the widget only shows it when the buyer has a phone
+        locale,                   // language of the texts below
         displayText,
+        smsDisplayText,
+        purposes,                 // [{ key, label, text, default }]
         marketingPreferences,
         privacyUrl,
       },
@@ -130,7 +95,16 @@ export async function loader({ request }) {
 // OPTIONS: preflight (triggered because we send Authorization header)
 export async function action({ request }) {
   const { cors } = await authenticate.public.checkout(request, {
-    corsHeaders: ["Authorization", "X-Checkout-Token"],
+    corsHeaders: [
+      "Authorization",
+      "X-Checkout-Token",
+      "X-Customer-Email",
+      "X-Shipping-Country",
+      "X-Shipping-Province",
+      "X-Billing-Country",
+      "X-Buyer-Country",
+      "X-Buyer-Locale",
+    ],
     allowMethods: ["GET", "OPTIONS"],
   });
 
@@ -0,0 +1,92 @@
+// app/routes/api.v1.consent.sessions.jsx
+//
+// POST /api/v1/consent/sessions — open (or refresh) the consent session for a
+// checkout and get what the widget should show. Call again whenever a signal
+// changes (address, market, language): same checkoutToken → same session.
+//
+// Auth: checkout session token (Authorization: Bearer …).
+// Body (JSON), all optional except where noted:
+//   checkoutToken     the checkout's token; without it nothing is stored (editor preview)
+//   email             buyer email: prior unsubscribes, first-time vs repeat buyer
+//   locale            checkout language, e.g. "fr" / "de-CH"
+//   shippingCountry / billingCountry / buyerCountry   ISO 3166-1 alpha-2
+//   shippingProvince  e.g. "CA" or "US-CA"
+// 200: { ok, apiVersion, apiBase, session: { id, mode, smsMode, locale, displayText,
+//        smsDisplayText, purposes, marketingPreferences, privacyUrl, country, countrySource, region } }
+// Errors: { ok: false, code, error, details? } — INVALID_JSON, INVALID_* per field,
+//         UNAUTHORIZED (401), RATE_LIMITED (429 + Retry-After)
+import { clientIpFrom } from "~/utils/ip.server.js";
+import { validateBody } from "~/utils/validate.server";
+import {
+  appOrigin, authenticateWidget, preflight, readJson, v1Error, v1MethodNotAllowed, v1Ok,
+} from "~/services/widget-api.server";
+
+const COUNTRY = { pattern: /^[A-Z]{2}$/, upper: true, code: "INVALID_COUNTRY" };
+
+const SESSION_SCHEMA = {
+  checkoutToken: { maxLength: 255, code: "INVALID_CHECKOUT_TOKEN" },
+  email: { pattern: /^[^\s@]+@[^\s@]+$/, maxLength: 254, lower: true, code: "INVALID_EMAIL" },
+  locale: { pattern: /^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/, maxLength: 16, code: "INVALID_LOCALE" },
+  shippingCountry: COUNTRY,
+  billingCountry: COUNTRY,
+  buyerCountry: COUNTRY,
+  shippingProvince: { pattern: /^[A-Z0-9-]{1,10}$/, upper: true, code: "INVALID_PROVINCE" },
+};
+
+export async function loader({ request }) {
+  if (request.method === "OPTIONS") return preflight();
+  return v1MethodNotAllowed();
+}
+
+export async function action({ request }) {
+  if (request.method === "OPTIONS") return preflight();
+  if (request.method !== "POST") return v1MethodNotAllowed();
+
+  const auth = await authenticateWidget(request);
+  if (auth.response) return auth.response;
+  const { shop } = auth;
+
+  const { value, errors } = validateBody(await readJson(request), SESSION_SCHEMA);
+  if (errors.length) return v1Error({ status: 400, code: errors[0].code, error: errors[0].message, details: errors });
+
+  // Only proxies we trust get to tell us the buyer's IP (see ip.server.js)
+  const { ip, source: ipSource } = clientIpFrom(request.headers);
+
+  // Same budget as the pre-v1 settings endpoint: both open sessions
+  const { checkRateLimit } = await import("~/services/rate-limit.server");
+  const limited = await checkRateLimit({ endpoint: "privacy", shop, checkout: value.checkoutToken, ip });
+  if (!limited.ok) {
+    return v1Error({ status: 429, code: "RATE_LIMITED", error: "Too many requests", retryAfter: limited.retryAfter });
+  }
+
+  const { openConsentSession } = await import("~/services/consent-session.server");
+  const s = await openConsentSession({
+    shop,
+    checkoutToken: value.checkoutToken,
+    email: value.email,
+    buyerLocale: value.locale,
+    countries: { shipping: value.shippingCountry, billing: value.billingCountry, localization: value.buyerCountry },
+    shippingProvince: value.shippingProvince,
+    headers: request.headers,
+    ip,
+    ipSource,
+  });
+
+  return v1Ok({
+    apiBase: appOrigin(),
+    session: {
+      id: s.sessionId,
+      mode: s.mode,               // OPT_IN | OPT_OUT | NO_CHECKBOX
+      smsMode: s.smsMode,         // same values; only shown when the buyer has a phone
+      locale: s.locale,           // language of the texts below
+      displayText: s.displayText,
+      smsDisplayText: s.smsDisplayText,
+      purposes: s.purposes,       // [{ key, label, text, default }]
+      marketingPreferences: s.marketingPreferences,
+      privacyUrl: s.privacyUrl,
+      country: s.countryCode,
+      countrySource: s.countrySource,
+      region: s.region,
+    },
+  });
+}
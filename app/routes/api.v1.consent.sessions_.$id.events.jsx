@@ -0,0 +1,43 @@
+// app/routes/api.v1.consent.sessions_.$id.events.jsx
+//
+// POST /api/v1/consent/sessions/:id/events — something happened in the widget
+// for this checkout's session (from POST /api/v1/consent/sessions).
+//
+// Auth: checkout session token; the session must belong to its shop.
+// Body (JSON):
+//   type      required: widget_rendered | shopify_checkout_toggle | purpose_toggle |
+//             preferences_modal_opened | privacy_link_clicked
+//   state     SUBSCRIBED | UNSUBSCRIBED | NOT_SUBSCRIBED; required on toggles, nothing else
+//   channel   "email" (default) | "sms"
+//   purpose   purpose key; required on purpose_toggle, nothing else
+//   eventId   client idempotency key (8–64 of A-Z a-z 0-9 _ -); a retry returns duplicate: true
+//   country   ISO 3166-1 alpha-2
+//   note      string or object, up to 4000 characters as JSON
+// 201: { ok, apiVersion, duplicate: false }   200: { ok, apiVersion, duplicate: true }
+// Errors: { ok: false, code, error, details? } — INVALID_* / MISSING_FIELDS (400), UNAUTHORIZED (401),
+//         SESSION_NOT_FOUND (404), SESSION_FINALIZED / EVENT_CAP_REACHED (409),
+//         RATE_LIMITED (429 + Retry-After)
+import { clientIpFrom } from "~/utils/ip.server.js";
+import { recordWidgetEvent } from "~/services/consent-events.server";
+import {
+  authenticateWidget, preflight, readJson, v1Error, v1MethodNotAllowed, v1Ok,
+} from "~/services/widget-api.server";
+
+export async function loader({ request }) {
+  if (request.method === "OPTIONS") return preflight();
+  return v1MethodNotAllowed();
+}
+
+export async function action({ request, params }) {
+  if (request.method === "OPTIONS") return preflight();
+  if (request.method !== "POST") return v1MethodNotAllowed();
+
+  const auth = await authenticateWidget(request);
+  if (auth.response) return auth.response;
+
+  const { ip } = clientIpFrom(request.headers);
+  const result = await recordWidgetEvent({ shop: auth.shop, sessionId: params.id, body: await readJson(request), ip });
+  if (!result.ok) return v1Error(result);
+
+  return v1Ok({ duplicate: result.duplicate }, result.duplicate ? 200 : 201);
+}
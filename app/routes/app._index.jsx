@@ -19,30 +19,55 @@ export async function loader({ request }) {
   const { session } = await authenticate.admin(request);
   const shop = session?.shop;
 
-  const [subscribed, unsubscribed] = await Promise.all([
+  // Checkouts decided by the unknown-jurisdiction fallback, last 30 days
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+  const [subscribed, unsubscribed, sessions30d, fallback30d] = await Promise.all([
     prisma.customer.count({
       where: { ...(shop && { shop }), lastState: "SUBSCRIBED" },
     }),
     prisma.customer.count({
       where: { ...(shop && { shop }), lastState: { not: 'SUBSCRIBED' } },
     }),
+    prisma.consentSession.count({
+      where: { ...(shop && { shop }), createdAt: { gte: since } },
+    }),
+    prisma.consentSession.count({
+      where: { ...(shop && { shop }), createdAt: { gte: since }, fallbackApplied: true },
+    }),
   ]);
 
   const total = subscribed + unsubscribed;
   const pct =
     total > 0 ? Math.round((subscribed / total) * 100) : 0;
 
-  return json({ subscribed, unsubscribed, total, pct });
+  const fallbackPct =
+    sessions30d > 0 ? Math.round((fallback30d / sessions30d) * 100) : 0;
+
+  const { getGeoStatus } = await import("~/utils/geo.server.js");
+  const geo = getGeoStatus();
+
+  return json({ subscribed, unsubscribed, total, pct, sessions30d, fallback30d, fallbackPct, geo });
+}
+
+function formatDate(d) {
+  return d ? new Date(d).toLocaleString() : "—";
+}
+
+function geoBadge(db) {
+  if (!db.loaded) return <Badge tone="critical">Not loaded</Badge>;
+  if (db.stale) return <Badge tone="warning">{`Stale (${db.ageDays} days old)`}</Badge>;
+  return <Badge tone="success">Loaded</Badge>;
 }
 
 export default function Dashboard() {
-  const { subscribed, unsubscribed, total, pct } = useLoaderData();
+  const { subscribed, unsubscribed, total, pct, sessions30d, fallback30d, fallbackPct, geo } = useLoaderData();
 
   return (
     <Page title="Dashboard">
       <BlockStack gap="400">
         <InlineGrid
-          columns={{ xs: 1, md: 2 }}
+          columns={{ xs: 1, md: 3 }}
           gap="400"
         >
           {/* Subscribed */}
@@ -78,7 +103,51 @@ export default function Dashboard() {
               </InlineStack>
             </BlockStack>
           </Card>
+
+          {/* Unknown jurisdiction */}
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Unknown jurisdiction (30 days)
+              </Text>
+              <Text as="p" variant="heading2xl">
+                {fallback30d.toLocaleString()}
+              </Text>
+              <InlineStack>
+                <Badge tone={fallback30d > 0 ? "attention" : undefined}>
+                  {sessions30d > 0 ? `${fallbackPct}% of checkouts used the fallback rule` : "No data"}
+                </Badge>
+              </InlineStack>
+            </BlockStack>
+          </Card>
         </InlineGrid>
+
+        {/* GeoLite status */}
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Geolocation database
+            </Text>
+            {geo.databases.map((db) => (
+              <InlineStack key={db.edition} gap="300" blockAlign="center">
+                <Text as="span" variant="bodyMd" fontWeight="semibold">{db.edition}</Text>
+                {geoBadge(db)}
+                <Text as="span" variant="bodySm" tone="subdued">
+                  {db.loaded
+                    ? `Built ${formatDate(db.buildEpoch)} · loaded ${formatDate(db.loadedAt)}`
+                    : db.error || "Not checked yet"}
+                </Text>
+              </InlineStack>
+            ))}
+            <Text as="p" variant="bodySm" tone="subdued">
+              {`${geo.counters.lookups.toLocaleString()} lookups since ${formatDate(geo.counters.since)}: ` +
+                `${geo.counters.located.toLocaleString()} located, ` +
+                `${geo.counters.skippedNoDb.toLocaleString()} skipped (no database), ` +
+                `${geo.counters.notFound.toLocaleString()} not found, ` +
+                `${geo.counters.skippedPrivate.toLocaleString()} private addresses.`}
+            </Text>
+          </BlockStack>
+        </Card>
       </BlockStack>
     </Page>
   );
@@ -19,6 +19,7 @@ export async function loader({ request, params }) {
     select: {
       id: true, shop: true, email: true, firstName: true, lastName: true,
       shopifyCustomerId: true, lastState: true, lastConsentAt: true, lastCountry: true,
+      phone: true, lastSmsState: true, purposes: true,
     },
   });
   if (!customer) throw new Response("Customer not found", { status: 404 });
@@ -29,11 +30,13 @@ export async function loader({ request, params }) {
     take: 200,
     select: {
       id: true, createdAt: true, type: true, state: true, note: true, country: true,
-      sessionId: true,
+      channel: true, purpose: true, sessionId: true,
       session: {
         select: {
           id: true, mode: true, consentAt: true, orderId: true,
           ipCountry: true, billingCountry: true, displayText: true, privacyUrl: true, marketingPreferences: true,
+          matrixVersionId: true, region: true, decisionTrace: true, country: true, countrySource: true,
+          geoLookup: true, locale: true, buyerLocale: true, smsMode: true, smsDisplayText: true, purposes: true,
         },
       },
     },
@@ -55,20 +58,72 @@ export async function loader({ request, params }) {
     if (name) codeToName[String(c).toUpperCase()] = name;
   }
 
-  return json({ customer, events, codeToName });
+  // Labels for the matrix versions that decided each checkout
+  const { BUNDLED_VERSION } = await import("~/services/consent-matrix.server");
+  const versionIds = [
+    ...new Set(events.map((ev) => ev.session?.matrixVersionId).filter(Boolean)),
+  ].filter((v) => v !== BUNDLED_VERSION.id);
+  const versions = versionIds.length
+    ? await prisma.consentMatrixVersion.findMany({
+        where: { id: { in: versionIds } },
+        select: { id: true, label: true, effectiveFrom: true },
+      })
+    : [];
+  const versionById = { [BUNDLED_VERSION.id]: BUNDLED_VERSION };
+  for (const v of versions) versionById[v.id] = v;
+
+  // Human-readable "why" for each checkout decision
+  const { explainTrace } = await import("~/services/consent-decision.server");
+  // Impressions carry a hash of the text the widget showed; compare it with what we stored
+  const { createHash } = await import("node:crypto");
+  const storedTextHash = (text) => createHash("sha256").update(text || "", "utf8").digest("hex");
+
+  const withDecision = events.map((ev) => {
+    if (!ev.session) return ev;
+    const { decisionTrace, geoLookup, ...session } = ev.session;
+    if (ev.type === "widget_rendered") session.textHash = storedTextHash(session.displayText);
+    const geolocation = geoLookup?.provider
+      ? `${geoLookup.country}${geoLookup.region ? ` / ${geoLookup.region}` : ""} via ${geoLookup.provider}` +
+        (geoLookup.confidence != null ? ` (confidence ${geoLookup.confidence})` : "")
+      : null;
+    return { ...ev, session: { ...session, geolocation, decisionLines: explainTrace(decisionTrace) } };
+  });
+
+  // Purpose labels (deleted purposes show their key)
+  const purposeRows = await prisma.consentPurpose.findMany({
+    where: { shop: customer.shop },
+    select: { key: true, label: true },
+  });
+  const purposeLabels = Object.fromEntries(purposeRows.map((p) => [p.key, p.label]));
+
+  return json({ customer, events: withDecision, codeToName, versionById, purposeLabels });
 }
 
 function formatDate(d) {
   try { return new Date(d).toLocaleString(); } catch { return "—"; }
 }
 
-function prettyMode(mode) {
-  if (mode === "OPT_OUT") return "Opt Out checkbox - Email";
-  if (mode === "OPT_IN") return "Opt In checkbox - Email";
-  if (mode === "NO_CHECKBOX") return "No checkbox - Email";
+function prettyMode(mode, channel = "email") {
+  const suffix = channel === "sms" ? "SMS" : "Email";
+  if (mode === "OPT_OUT") return `Opt Out checkbox - ${suffix}`;
+  if (mode === "OPT_IN") return `Opt In checkbox - ${suffix}`;
+  if (mode === "NO_CHECKBOX") return `No checkbox - ${suffix}`;
   return "—";
 }
 
+// The checkbox an event is about: SMS events go with the session's SMS checkbox
+function channelMode(ev) {
+  return ev.channel === "sms" ? ev.session?.smsMode : ev.session?.mode;
+}
+
+// What the orders webhook based the outcome on (note.evidence)
+const EVIDENCE_LABELS = {
+  toggle_event: "Checkbox event",
+  checkout_attribute: "Checkout attribute (event not received)",
+  mode_default: "Mode default (no checkbox interaction)",
+  post_checkout_change: "Changed by the buyer after checkout",
+};
+
 function actionLabel(type) {
   switch (type) {
     case "shopify_profile_update": return "Profile update";
@@ -76,6 +131,13 @@ function actionLabel(type) {
     case "shopify_checkout": return "Checkout completed";
     case "shopify_subscription_update": return "Consent update";
     case "shopify_sync": return "Shopify sync";
+    case "mode_changed": return "Consent mode changed";
+    case "widget_rendered": return "Consent notice shown";
+    case "preferences_modal_opened": return "Marketing preferences opened";
+    case "privacy_link_clicked": return "Privacy policy opened";
+    case "purpose_toggle": return "Purpose toggled";
+    case "post_checkout_change": return "Changed after checkout";
+    case "preference_center_update": return "Preference center update";
     default: return type || "—";
   }
 }
@@ -111,7 +173,7 @@ function getStateLabelTone(state) {
 
 // 🔎 Rationale builder: explains *why* the outcome happened
 function rationaleForEvent(ev) {
-  const mode = ev.session?.mode; // "OPT_IN" | "OPT_OUT" | "NO_CHECKBOX" | undefined
+  const mode = channelMode(ev); // "OPT_IN" | "OPT_OUT" | "NO_CHECKBOX" | undefined
   const state = ev.state;
 
   switch (ev.type) {
@@ -170,13 +232,41 @@ function rationaleForEvent(ev) {
     case "shopify_sync":
       return "Data was synced from Shopify.";
 
+    case "widget_rendered":
+      return "The consent notice was displayed to the buyer at checkout. The text hash identifies the exact wording shown.";
+
+    case "preferences_modal_opened":
+      return "The buyer opened the marketing preferences overview from the checkout notice.";
+
+    case "privacy_link_clicked":
+      return "The buyer followed the privacy policy link from the checkout notice.";
+
+    case "post_checkout_change":
+      return state === "SUBSCRIBED"
+        ? "The buyer chose to receive marketing from the order confirmation page."
+        : "The buyer chose to stop marketing from the order confirmation page.";
+
+    case "preference_center_update":
+      return state === "SUBSCRIBED"
+        ? "The customer opted in from their account's preference center."
+        : "The customer opted out from their account's preference center.";
+
+    case "purpose_toggle":
+      return state === "SUBSCRIBED"
+        ? "Customer ticked this purpose's checkbox during checkout."
+        : "Customer unticked this purpose's checkbox during checkout.";
+
+    case "mode_changed":
+      return "The buyer's country signals changed during checkout, so the widget was re-evaluated. Earlier checkbox ticks no longer count.";
+
     default:
       return "Outcome not captured for this event.";
   }
 }
 
 export default function CustomerDetail() {
-  const { customer, events, codeToName } = useLoaderData();
+  const { customer, events, codeToName, versionById, purposeLabels } = useLoaderData();
+  const purposeLabel = (key) => purposeLabels?.[key] || key;
 
   // small helper for client rendering
   const countryLabel = (code) => {
@@ -185,6 +275,13 @@ export default function CustomerDetail() {
     return codeToName?.[up] || up;
   };
 
+  const versionLabel = (id) => {
+    if (!id) return "—";
+    const v = versionById?.[id];
+    if (!v) return id;
+    return v.effectiveFrom ? `${v.label} (effective ${formatDate(v.effectiveFrom)})` : v.label;
+  };
+
   const fullName = useMemo(
     () => [customer.firstName, customer.lastName].filter(Boolean).join(" ") || "—",
     [customer.firstName, customer.lastName]
@@ -198,6 +295,7 @@ export default function CustomerDetail() {
   const openMarketing = (title, html) => setMktModal({ open: true, title, content: html || "" });
   const closeMarketing = () => setMktModal((m) => ({ ...m, open: false }));
   const { label: statusLabel, tone: statusTone } = getStateLabelTone(customer.lastState);
+  const { label: smsStatusLabel, tone: smsStatusTone } = getStateLabelTone(customer.lastSmsState);
 
   const handleViewCustomerClick = () => {
     shopify.intents.invoke('edit:shopify/Customer', {
@@ -209,9 +307,12 @@ export default function CustomerDetail() {
     <Page
       title={fullName !== "—" ? fullName : (customer.email || customer.id)}
       backAction={{ content: "Customers", url: "/app/customers" }}
-      subtitle={customer.email}
+      subtitle={[customer.email, customer.phone].filter(Boolean).join(" · ")}
       titleMetadata={
-        statusLabel !== "—" ? <Badge tone={statusTone}>{statusLabel}</Badge> : null
+        <InlineStack gap="200">
+          {statusLabel !== "—" ? <Badge tone={statusTone}>{statusLabel}</Badge> : null}
+          {smsStatusLabel !== "—" ? <Badge tone={smsStatusTone}>{`SMS: ${smsStatusLabel}`}</Badge> : null}
+        </InlineStack>
       }
       secondaryActions={
         <Button onClick={handleViewCustomerClick}>View customer</Button>
@@ -219,6 +320,21 @@ export default function CustomerDetail() {
     >
       <Box paddingBlockEnd={800}>
         <BlockStack gap="400">
+          {/* Purposes */}
+          {customer.purposes && Object.keys(customer.purposes).length ? (
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">Consent purposes</Text>
+                <DescriptionList
+                  items={Object.entries(customer.purposes).map(([key, state]) => {
+                    const { label, tone } = getStateLabelTone(state);
+                    return { term: purposeLabel(key), description: <Badge tone={tone}>{label}</Badge> };
+                  })}
+                />
+              </BlockStack>
+            </Card>
+          ) : null}
+
           {/* Events */}
           <Card>
             <BlockStack gap="400">
@@ -230,6 +346,7 @@ export default function CustomerDetail() {
                   events.map((ev, idx) => {
                     const openState = !!open[ev.id];
                     const meta = parseMeta(ev.note);
+                    const shownText = ev.channel === "sms" ? ev.session?.smsDisplayText : ev.session?.displayText;
 
                     let items;
                     if (ev.type === "shopify_profile_update") {
@@ -254,28 +371,70 @@ export default function CustomerDetail() {
                       items = [
                         { term: "Action", description: actionLabel(ev.type) },
                         { term: "Source", description: meta?.source || "Shopify" },
+                        { term: "Channel", description: ev.channel === "sms" ? "SMS" : "Email" },
                         { term: "Order Id", description: ev.session?.orderId || "—" },
                         { term: "Session Id", description: ev.sessionId || "—" },
                         { term: "Outcome", description: <Badge tone={statusTone}>{statusLabel}</Badge> },
+                        { term: "Decided From", description: EVIDENCE_LABELS[meta?.evidence] || "—" },
                         { term: "Timestamp", description: formatDate(ev.createdAt) },
                         { term: "IP Country", description: countryLabel(ev.session?.ipCountry) || "—" },
                         { term: "Billing Country", description: countryLabel(ev.session?.billingCountry) || "—" },
+                        {
+                          term: "Consent Country",
+                          description: ev.session?.country
+                            ? `${countryLabel(ev.session.country)}${ev.session.countrySource ? ` (from ${ev.session.countrySource})` : ""}`
+                            : "Unknown (fallback rule)",
+                        },
+                        { term: "Region", description: ev.session?.region || "—" },
+                        { term: "Geolocation", description: ev.session?.geolocation || "—" },
+                        ...(meta?.purposes
+                          ? [{
+                              term: "Purposes",
+                              description: (
+                                <BlockStack gap="100">
+                                  {Object.entries(meta.purposes).map(([key, p]) => (
+                                    <Text as="p" key={key}>
+                                      {purposeLabel(key)}: {getStateLabelTone(p.state).label}
+                                      {EVIDENCE_LABELS[p.evidence] ? ` (${EVIDENCE_LABELS[p.evidence]})` : ""}
+                                    </Text>
+                                  ))}
+                                </BlockStack>
+                              ),
+                            }]
+                          : []),
+                        {
+                          term: "Language",
+                          description: ev.session?.locale
+                            ? `${ev.session.locale}${ev.session.buyerLocale ? ` (checkout: ${ev.session.buyerLocale})` : ""}`
+                            : "—",
+                        },
                         {
                           term: "Checkbox Configuration",
                           description: (() => {
-                            const label = prettyMode(ev.session?.mode);
+                            const label = prettyMode(channelMode(ev), ev.channel);
                             return ev.session?.variant ? `${label} (${ev.session.variant})` : label;
                           })(),
                         },
+                        { term: "Matrix Version", description: versionLabel(ev.session?.matrixVersionId) },
+                        {
+                          term: "Decision",
+                          description: ev.session?.decisionLines?.length ? (
+                            <BlockStack gap="100">
+                              {ev.session.decisionLines.map((line, i) => (
+                                <Text as="p" key={i}>{line}</Text>
+                              ))}
+                            </BlockStack>
+                          ) : "—",
+                        },
                         {
                           term: "Display Text",
-                          description: ev.session?.displayText ? (
+                          description: shownText ? (
                             <Button
                               variant="plain"
                               onClick={() =>
                                 openMarketing(
                                   `Marketing information (session ${ev.session?.id || ""})`,
-                                  ev.session.displayText
+                                  shownText
                                 )
                               }
                             >
@@ -314,6 +473,7 @@ export default function CustomerDetail() {
                       items = [
                         { term: "Action", description: actionLabel(ev.type) },
                         { term: "Source", description: meta?.source || "Shopify" },
+                        { term: "Channel", description: ev.channel === "sms" ? "SMS" : "Email" },
                         { term: "Session Id", description: ev.sessionId || "—" },
                         { term: "Outcome", description: <Badge tone={statusTone}>{statusLabel}</Badge> },
                         { term: "Timestamp", description: formatDate(ev.createdAt) },
@@ -322,19 +482,19 @@ export default function CustomerDetail() {
                         {
                           term: "Checkbox Configuration",
                           description: (() => {
-                            const label = prettyMode(ev.session?.mode);
+                            const label = prettyMode(channelMode(ev), ev.channel);
                             return ev.session?.variant ? `${label} (${ev.session.variant})` : label;
                           })(),
                         },
                         {
                           term: "Display Text",
-                          description: ev.session?.displayText ? (
+                          description: shownText ? (
                             <Button
                               variant="plain"
                               onClick={() =>
                                 openMarketing(
                                   `Marketing information (session ${ev.session?.id || ""})`,
-                                  ev.session.displayText
+                                  shownText
                                 )
                               }
                             >
@@ -368,6 +528,107 @@ export default function CustomerDetail() {
                         },
                         { term: "Rationale", description: rationaleForEvent(ev) }
                       ];
+                    } else if (ev.type === "post_checkout_change") {
+                      const { label: statusLabel, tone: statusTone } = getStateLabelTone(ev.state);
+                      items = [
+                        { term: "Action", description: actionLabel(ev.type) },
+                        { term: "Source", description: meta?.source || "Thank you page" },
+                        { term: "Order Id", description: meta?.orderId || ev.session?.orderId || "—" },
+                        { term: "Session Id", description: ev.sessionId || "—" },
+                        { term: "Outcome", description: <Badge tone={statusTone}>{statusLabel}</Badge> },
+                        { term: "Timestamp", description: formatDate(ev.createdAt) },
+                        { term: "Rationale", description: rationaleForEvent(ev) },
+                      ];
+                    } else if (ev.type === "preference_center_update") {
+                      const { label: statusLabel, tone: statusTone } = getStateLabelTone(ev.state);
+                      items = [
+                        { term: "Action", description: actionLabel(ev.type) },
+                        { term: "Source", description: meta?.source || "Preference center" },
+                        {
+                          term: ev.purpose ? "Purpose" : "Channel",
+                          description: ev.purpose ? purposeLabel(ev.purpose) : ev.channel === "sms" ? "SMS" : "Email",
+                        },
+                        { term: "Outcome", description: <Badge tone={statusTone}>{statusLabel}</Badge> },
+                        { term: "Timestamp", description: formatDate(ev.createdAt) },
+                        { term: "Rationale", description: rationaleForEvent(ev) },
+                      ];
+                    } else if (ev.type === "purpose_toggle") {
+                      const { label: statusLabel, tone: statusTone } = getStateLabelTone(ev.state);
+                      const shown = (ev.session?.purposes || []).find((p) => p.key === ev.purpose);
+                      items = [
+                        { term: "Action", description: actionLabel(ev.type) },
+                        { term: "Source", description: "Checkout" },
+                        { term: "Purpose", description: purposeLabel(ev.purpose) || "—" },
+                        { term: "Session Id", description: ev.sessionId || "—" },
+                        { term: "Outcome", description: <Badge tone={statusTone}>{statusLabel}</Badge> },
+                        { term: "Timestamp", description: formatDate(ev.createdAt) },
+                        { term: "Ticked by Default", description: shown ? (shown.default ? "Yes" : "No") : "—" },
+                        {
+                          term: "Checkbox Text",
+                          description: shown?.text ? (
+                            <Button
+                              variant="plain"
+                              onClick={() => openMarketing(`${purposeLabel(ev.purpose)} (session ${ev.sessionId || ""})`, shown.text)}
+                            >
+                              Click here to view
+                            </Button>
+                          ) : "—",
+                        },
+                        { term: "Rationale", description: rationaleForEvent(ev) },
+                      ];
+                    } else if (ev.type === "widget_rendered") {
+                      const hash = meta?.textHash || null;
+                      items = [
+                        { term: "Action", description: actionLabel(ev.type) },
+                        { term: "Source", description: meta?.source || "Checkout" },
+                        { term: "Session Id", description: ev.sessionId || "—" },
+                        { term: "Timestamp", description: formatDate(ev.createdAt) },
+                        { term: "Checkbox Configuration", description: prettyMode(meta?.mode) },
+                        { term: "Language", description: meta?.locale || "—" },
+                        {
+                          term: "Text Hash",
+                          description: hash
+                            ? `${hash.slice(0, 16)}… ${
+                                ev.session?.textHash === hash
+                                  ? "(matches the session's display text)"
+                                  : "(differs from the session's final display text)"
+                              }`
+                            : "—",
+                        },
+                        { term: "Rationale", description: rationaleForEvent(ev) },
+                      ];
+                    } else if (ev.type === "preferences_modal_opened" || ev.type === "privacy_link_clicked") {
+                      items = [
+                        { term: "Action", description: actionLabel(ev.type) },
+                        { term: "Source", description: meta?.source || "Checkout" },
+                        { term: "Session Id", description: ev.sessionId || "—" },
+                        { term: "Timestamp", description: formatDate(ev.createdAt) },
+                        { term: "Checkbox Configuration", description: prettyMode(meta?.mode) },
+                        ...(ev.type === "privacy_link_clicked"
+                          ? [{ term: "Privacy URL", description: meta?.privacyUrl || ev.session?.privacyUrl || "—" }]
+                          : []),
+                        { term: "Rationale", description: rationaleForEvent(ev) },
+                      ];
+                    } else if (ev.type === "mode_changed") {
+                      const where = (x) =>
+                        x?.country
+                          ? `${countryLabel(x.country)}${x.region ? ` / ${x.region}` : ""}${x.countrySource ? ` (from ${x.countrySource})` : ""}`
+                          : "Unknown (fallback rule)";
+                      items = [
+                        { term: "Action", description: actionLabel(ev.type) },
+                        { term: "Source", description: meta?.source || "Checkout" },
+                        { term: "Session Id", description: ev.sessionId || "—" },
+                        { term: "Timestamp", description: formatDate(ev.createdAt) },
+                        { term: "From", description: `${prettyMode(meta?.from?.mode)} — ${where(meta?.from)}` },
+                        { term: "To", description: `${prettyMode(meta?.to?.mode)} — ${where(meta?.to)}` },
+                        ...(meta?.from?.smsMode || meta?.to?.smsMode
+                          ? [{
+                              term: "SMS",
+                              description: `${prettyMode(meta?.from?.smsMode, "sms")} → ${prettyMode(meta?.to?.smsMode, "sms")}`,
+                            }]
+                          : []),
+                        { term: "Rationale", description: rationaleForEvent(ev) },
+                      ];
                     } else if (ev.type === "shopify_sync") {
                       const { label: statusLabel, tone: statusTone } = getStateLabelTone(ev.state);
                       items = [
@@ -389,7 +650,7 @@ export default function CustomerDetail() {
                         <Box paddingBlock="200">
                           <InlineStack align="space-between" blockAlign="center">
                             <Text as="p" variant="bodyMd">
-                              {formatDate(ev.createdAt)} - {actionLabel(ev.type)}
+                              {formatDate(ev.createdAt)} - {actionLabel(ev.type)}{ev.channel === "sms" ? " (SMS)" : ""}
                             </Text>
                             <Button
                               variant="plain"
@@ -0,0 +1,112 @@
+// app/routes/app.experiments.$id.jsx
+import { json } from "@remix-run/node";
+import { useLoaderData } from "@remix-run/react";
+import { authenticate } from "~/shopify.server";
+import { prisma } from "~/db.server";
+import { Page, Card, Box, BlockStack, InlineStack, Text, Badge, IndexTable, Banner } from "@shopify/polaris";
+
+const MODE_LABELS = { OPT_IN: "Opt-in", OPT_OUT: "Opt-out", NO_CHECKBOX: "No checkbox" };
+
+const pct = (x) => (x == null ? "—" : `${(x * 100).toFixed(1)}%`);
+const points = (x) => (x == null ? "—" : `${x > 0 ? "+" : ""}${(x * 100).toFixed(1)} pts`);
+const day = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+
+export async function loader({ request, params }) {
+  const { session } = await authenticate.admin(request);
+  const experiment = await prisma.consentExperiment.findFirst({ where: { id: params.id, shop: session.shop } });
+  if (!experiment) throw new Response("Not found", { status: 404 });
+
+  const { experimentResults, MIN_SAMPLE } = await import("~/services/consent-experiments.server");
+  const results = await experimentResults(experiment);
+  return json({ experiment, results, minSample: MIN_SAMPLE });
+}
+
+function Significance({ row, minSample, baseline }) {
+  if (row.pValue == null) return <Text as="span" tone="subdued">—</Text>;
+  if (row.orders < minSample || baseline.orders < minSample) {
+    return <Badge>Too few orders</Badge>;
+  }
+  if (row.significant) {
+    return <Badge tone={row.lift > 0 ? "success" : "critical"}>{`Significant (p = ${row.pValue.toFixed(3)})`}</Badge>;
+  }
+  return <Badge tone="attention">{`Not significant (p = ${row.pValue.toFixed(3)})`}</Badge>;
+}
+
+export default function ExperimentResultsPage() {
+  const { experiment, results, minSample } = useLoaderData();
+  const [baseline] = results;
+  const variants = experiment.variants || [];
+
+  return (
+    <Page
+      title={experiment.name}
+      subtitle={`${MODE_LABELS[experiment.mode] || experiment.mode} · ${day(experiment.startsAt)} → ${
+        experiment.endsAt ? day(experiment.endsAt) : "no end"
+      }`}
+      backAction={{ content: "Copy experiments", url: "/app/experiments" }}
+    >
+      <Box paddingBlockEnd={800}>
+        <BlockStack gap="400">
+          <Banner tone="info">
+            Opt-in rate is opt-ins over completed orders for checkouts that saw each variant. Each variant is compared
+            with {baseline ? `variant ${baseline.key}` : "the baseline"} using a two-sided two-proportion z-test;
+            &quot;Significant&quot; means p &lt; 0.05 with at least {minSample} orders on both sides.
+          </Banner>
+
+          <Card padding="0">
+            <IndexTable
+              resourceName={{ singular: "variant", plural: "variants" }}
+              itemCount={results.length}
+              selectable={false}
+              headings={[
+                { title: "Variant" },
+                { title: "Weight" },
+                { title: "Checkouts" },
+                { title: "Orders" },
+                { title: "Opt-ins" },
+                { title: "Opt-in rate" },
+                { title: "vs baseline" },
+                { title: "Significance" },
+              ]}
+            >
+              {results.map((r, index) => (
+                <IndexTable.Row id={r.key} key={r.key} position={index}>
+                  <IndexTable.Cell>
+                    <Text as="span" fontWeight="semibold">{`${r.key} · ${r.label}`}</Text>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>{r.weight}</IndexTable.Cell>
+                  <IndexTable.Cell>{r.sessions}</IndexTable.Cell>
+                  <IndexTable.Cell>{r.orders}</IndexTable.Cell>
+                  <IndexTable.Cell>{r.optIns}</IndexTable.Cell>
+                  <IndexTable.Cell>{pct(r.rate)}</IndexTable.Cell>
+                  <IndexTable.Cell>{index === 0 ? "Baseline" : points(r.lift)}</IndexTable.Cell>
+                  <IndexTable.Cell>
+                    {index === 0 ? null : <Significance row={r} minSample={minSample} baseline={baseline} />}
+                  </IndexTable.Cell>
+                </IndexTable.Row>
+              ))}
+            </IndexTable>
+          </Card>
+
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">Copy</Text>
+              {variants.map((v) => (
+                <BlockStack gap="100" key={v.key}>
+                  <InlineStack gap="200">
+                    <Text as="span" fontWeight="semibold">{`${v.key} · ${v.label}`}</Text>
+                  </InlineStack>
+                  {v.text ? (
+                    <Text as="p" tone="subdued" breakWord>{v.text}</Text>
+                  ) : (
+                    <Text as="p" tone="subdued">Current copy from Settings</Text>
+                  )}
+                </BlockStack>
+              ))}
+            </BlockStack>
+          </Card>
+        </BlockStack>
+      </Box>
+    </Page>
+  );
+}
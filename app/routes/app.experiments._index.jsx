@@ -0,0 +1,416 @@
+// app/routes/app.experiments._index.jsx
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigate, useNavigation, useSubmit } from "@remix-run/react";
+import { authenticate } from "~/shopify.server";
+import { prisma } from "~/db.server";
+import {
+  Page, Card, Box, BlockStack, InlineStack, Text, Badge, IndexTable, Button,
+  TextField, Select, Modal, Banner, EmptyState,
+} from "@shopify/polaris";
+import { useEffect, useState } from "react";
+
+const MODE_OPTIONS = [
+  { label: "Opt-in", value: "OPT_IN" },
+  { label: "Opt-out", value: "OPT_OUT" },
+  { label: "No checkbox", value: "NO_CHECKBOX" },
+];
+const modeLabel = (m) => MODE_OPTIONS.find((o) => o.value === m)?.label || m;
+
+const MAX_VARIANTS = 4;
+
+// "2026-01-31" ↔ Date (UTC midnight); the stop date is exclusive
+const toDay = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+function fromDay(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s || "")) return null;
+  const d = new Date(`${s}T00:00:00Z`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function status(x, now = new Date()) {
+  if (new Date(x.startsAt) > now) return { label: "Scheduled", tone: "info" };
+  if (x.endsAt && new Date(x.endsAt) <= now) return { label: "Ended", tone: undefined };
+  return { label: "Running", tone: "success" };
+}
+
+const blankVariant = (i) => ({ label: i === 0 ? "Current copy" : "", text: "", weight: "50" });
+
+/* ------------------------------ loader ------------------------------ */
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const experiments = await prisma.consentExperiment.findMany({
+    where: { shop },
+    orderBy: { startsAt: "desc" },
+  });
+  // Checkouts entered per experiment
+  const counts = await prisma.consentSession.groupBy({
+    by: ["experimentId"],
+    where: { shop, experimentId: { in: experiments.map((x) => x.id) } },
+    _count: { _all: true },
+  });
+  const sessions = Object.fromEntries(counts.map((c) => [c.experimentId, c._count._all]));
+
+  return json({ experiments: experiments.map((x) => ({ ...x, sessions: sessions[x.id] || 0 })) });
+}
+
+/* ------------------------------ action ------------------------------ */
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const form = await request.formData();
+  const intent = form.get("_intent");
+  const id = String(form.get("id") || "");
+  const now = new Date();
+
+  if (intent === "deleteExperiment") {
+    // Sessions keep their experimentId/variant for the customer timeline
+    await prisma.consentExperiment.deleteMany({ where: { id, shop } });
+    return json({ ok: true, message: "Experiment deleted" });
+  }
+
+  if (intent === "stopExperiment") {
+    const { count } = await prisma.consentExperiment.updateMany({
+      where: { id, shop, OR: [{ endsAt: null }, { endsAt: { gt: now } }] },
+      data: { endsAt: now },
+    });
+    if (!count) return json({ ok: false, error: "Experiment not found or already ended" }, { status: 404 });
+    return json({ ok: true, message: "Experiment stopped" });
+  }
+
+  if (intent === "saveExperiment") {
+    const { VARIANT_KEYS, EXPERIMENT_MODES } = await import("~/services/consent-experiments.server");
+    const existing = id ? await prisma.consentExperiment.findFirst({ where: { id, shop } }) : null;
+    if (id && !existing) return json({ ok: false, error: "Experiment not found" }, { status: 404 });
+    // Once checkouts have been assigned, changing the arms would mix results: only name and stop date move
+    const started = existing && existing.startsAt <= now;
+
+    let variants = [];
+    try {
+      variants = JSON.parse(String(form.get("variants") || "[]"));
+    } catch {
+      variants = [];
+    }
+    const data = {
+      name: String(form.get("name") || "").trim(),
+      mode: String(form.get("mode") || ""),
+      startsAt: fromDay(String(form.get("startsAt") || "")),
+      endsAt: fromDay(String(form.get("endsAt") || "")),
+      variants: (Array.isArray(variants) ? variants : []).slice(0, MAX_VARIANTS).map((v, i) => ({
+        key: VARIANT_KEYS[i],
+        label: String(v?.label || "").trim() || `Variant ${VARIANT_KEYS[i]}`,
+        text: String(v?.text || "").trim(),
+        weight: Number.parseInt(String(v?.weight ?? ""), 10),
+      })),
+    };
+    if (started) Object.assign(data, { mode: existing.mode, startsAt: existing.startsAt, variants: existing.variants });
+
+    const errors = {};
+    if (!data.name) errors.name = "Name is required.";
+    if (!EXPERIMENT_MODES.includes(data.mode)) errors.mode = "Pick a mode.";
+    if (!data.startsAt) errors.startsAt = "Start date is required.";
+    if (String(form.get("endsAt") || "") && !data.endsAt) errors.endsAt = "Use a valid date.";
+    if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) errors.endsAt = "Stop date must be after the start date.";
+    if (!started) {
+      if (data.variants.length < 2) errors.variants = "Add at least two variants.";
+      else if (data.variants.some((v) => !Number.isInteger(v.weight) || v.weight < 0 || v.weight > 100))
+        errors.variants = "Weights are whole numbers from 0 to 100.";
+      else if (!data.variants.some((v) => v.weight > 0)) errors.variants = "At least one variant needs traffic.";
+      else if (data.variants.filter((v) => !v.text).length > 1)
+        errors.variants = "Only one variant can use the current copy (blank text).";
+    }
+
+    // One experiment per mode at a time, so a checkout is never in two
+    if (!errors.mode && data.startsAt && !errors.endsAt) {
+      const overlap = await prisma.consentExperiment.findFirst({
+        where: {
+          shop,
+          mode: data.mode,
+          ...(id ? { NOT: { id } } : {}),
+          OR: [{ endsAt: null }, { endsAt: { gt: data.startsAt } }],
+          ...(data.endsAt ? { startsAt: { lt: data.endsAt } } : {}),
+        },
+        select: { name: true },
+      });
+      if (overlap) errors.startsAt = `Overlaps "${overlap.name}" for the same mode.`;
+    }
+    if (Object.keys(errors).length) return json({ ok: false, errors }, { status: 400 });
+
+    if (existing) {
+      await prisma.consentExperiment.update({ where: { id: existing.id }, data });
+    } else {
+      await prisma.consentExperiment.create({ data: { shop, ...data } });
+    }
+    return json({ ok: true, message: "Experiment saved" });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+/* ------------------------------ component ------------------------------ */
+
+export default function ConsentExperimentsPage() {
+  const { experiments } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigate = useNavigate();
+  const nav = useNavigation();
+  const busy = nav.state !== "idle";
+
+  const [editing, setEditing] = useState(null); // form values, or null when closed
+
+  useEffect(() => {
+    if (busy || !actionData) return;
+    if (actionData.ok) {
+      shopify.toast.show(actionData.message || "Saved");
+      setEditing(null);
+    }
+  }, [busy, actionData]);
+
+  const open = (x) =>
+    setEditing(
+      x
+        ? {
+            id: x.id,
+            name: x.name,
+            mode: x.mode,
+            startsAt: toDay(x.startsAt),
+            endsAt: toDay(x.endsAt),
+            variants: (x.variants || []).map((v) => ({ label: v.label, text: v.text, weight: String(v.weight) })),
+            locked: new Date(x.startsAt) <= new Date(),
+            running: status(x).label === "Running",
+          }
+        : {
+            id: "",
+            name: "",
+            mode: "OPT_IN",
+            startsAt: toDay(new Date()),
+            endsAt: "",
+            variants: [blankVariant(0), blankVariant(1)],
+            locked: false,
+            running: false,
+          }
+    );
+  const set = (field) => (value) => setEditing((v) => ({ ...v, [field]: value }));
+  const setVariant = (i, field) => (value) =>
+    setEditing((v) => ({ ...v, variants: v.variants.map((x, j) => (j === i ? { ...x, [field]: value } : x)) }));
+
+  const send = (intent) => {
+    const fd = new FormData();
+    fd.set("_intent", intent);
+    fd.set("id", editing.id || "");
+    if (intent === "saveExperiment") {
+      for (const f of ["name", "mode", "startsAt", "endsAt"]) fd.set(f, editing[f]);
+      fd.set("variants", JSON.stringify(editing.variants));
+    }
+    submit(fd, { method: "post" });
+  };
+
+  const errors = editing && actionData?.errors ? actionData.errors : {};
+  const totalWeight = editing
+    ? editing.variants.reduce((n, v) => n + (Number.parseInt(v.weight, 10) || 0), 0)
+    : 0;
+
+  const secondary = [];
+  if (editing?.running) secondary.push({ content: "Stop now", onAction: () => send("stopExperiment") });
+  if (editing?.id) secondary.push({ content: "Delete", destructive: true, onAction: () => send("deleteExperiment") });
+
+  return (
+    <Page
+      title="Copy experiments"
+      subtitle="Test consent wording against your current copy and compare opt-in rates"
+      primaryAction={{ content: "New experiment", onAction: () => open(null) }}
+    >
+      <Box paddingBlockEnd={800}>
+        <BlockStack gap="400">
+          {actionData?.error && !actionData.ok ? <Banner tone="critical" title={actionData.error} /> : null}
+          <Banner tone="info">
+            While an experiment runs, each checkout in its mode is assigned a variant by weight, and keeps it for the
+            whole checkout. Variants are written in your default language: buyers shown a translation get the
+            translated copy and are left out of the results.
+          </Banner>
+
+          <Card padding="0">
+            {experiments.length === 0 ? (
+              <EmptyState
+                heading="No experiments yet"
+                action={{ content: "New experiment", onAction: () => open(null) }}
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>Every checkout sees the copy from Settings.</p>
+              </EmptyState>
+            ) : (
+              <IndexTable
+                resourceName={{ singular: "experiment", plural: "experiments" }}
+                itemCount={experiments.length}
+                selectable={false}
+                headings={[
+                  { title: "Experiment" },
+                  { title: "Mode" },
+                  { title: "Variants" },
+                  { title: "Dates" },
+                  { title: "Checkouts" },
+                  { title: "Status" },
+                  { title: "" },
+                ]}
+              >
+                {experiments.map((x, index) => {
+                  const s = status(x);
+                  return (
+                    <IndexTable.Row id={x.id} key={x.id} position={index} onClick={() => open(x)}>
+                      <IndexTable.Cell>
+                        <Text as="span" variant="bodyMd" fontWeight="semibold">{x.name}</Text>
+                      </IndexTable.Cell>
+                      <IndexTable.Cell>{modeLabel(x.mode)}</IndexTable.Cell>
+                      <IndexTable.Cell>
+                        {(x.variants || []).map((v) => `${v.key} ${v.weight}`).join(" / ")}
+                      </IndexTable.Cell>
+                      <IndexTable.Cell>
+                        {toDay(x.startsAt)} → {x.endsAt ? toDay(x.endsAt) : "no end"}
+                      </IndexTable.Cell>
+                      <IndexTable.Cell>{x.sessions}</IndexTable.Cell>
+                      <IndexTable.Cell>
+                        <Badge tone={s.tone}>{s.label}</Badge>
+                      </IndexTable.Cell>
+                      <IndexTable.Cell>
+                        <div onClick={(e) => e.stopPropagation()}>
+                          <Button variant="plain" onClick={() => navigate(`/app/experiments/${x.id}`)}>
+                            Results
+                          </Button>
+                        </div>
+                      </IndexTable.Cell>
+                    </IndexTable.Row>
+                  );
+                })}
+              </IndexTable>
+            )}
+          </Card>
+        </BlockStack>
+      </Box>
+
+      <Modal
+        open={!!editing}
+        onClose={() => setEditing(null)}
+        title={editing?.id ? `Edit ${editing.name || "experiment"}` : "New experiment"}
+        primaryAction={{ content: "Save", onAction: () => send("saveExperiment"), loading: busy }}
+        secondaryActions={secondary}
+      >
+        {editing ? (
+          <Modal.Section>
+            <BlockStack gap="300">
+              {editing.locked ? (
+                <Banner tone="warning">
+                  This experiment has started, so its mode, start date and variants can no longer change. Stop it and
+                  create a new one to test different copy.
+                </Banner>
+              ) : null}
+              <TextField
+                label="Name"
+                value={editing.name}
+                onChange={set("name")}
+                autoComplete="off"
+                placeholder="Shorter opt-in wording"
+                error={errors.name}
+              />
+              <Select
+                label="Matrix mode"
+                options={MODE_OPTIONS}
+                value={editing.mode}
+                onChange={set("mode")}
+                disabled={editing.locked}
+                helpText="Only checkouts the matrix puts in this mode take part."
+                error={errors.mode}
+              />
+              <InlineStack gap="300" wrap={false}>
+                <TextField
+                  label="Start date"
+                  type="date"
+                  value={editing.startsAt}
+                  onChange={set("startsAt")}
+                  disabled={editing.locked}
+                  autoComplete="off"
+                  error={errors.startsAt}
+                />
+                <TextField
+                  label="Stop date"
+                  type="date"
+                  value={editing.endsAt}
+                  onChange={set("endsAt")}
+                  autoComplete="off"
+                  helpText="Optional; runs until the start of this day (UTC)."
+                  error={errors.endsAt}
+                />
+              </InlineStack>
+
+              <Text as="h3" variant="headingSm">Variants</Text>
+              {errors.variants ? <Banner tone="critical">{errors.variants}</Banner> : null}
+              {editing.variants.map((v, i) => (
+                <Card key={i}>
+                  <BlockStack gap="200">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text as="span" fontWeight="semibold">
+                        Variant {String.fromCharCode(65 + i)}
+                        {i === 0 ? " (baseline)" : ""}
+                      </Text>
+                      {!editing.locked && editing.variants.length > 2 ? (
+                        <Button
+                          variant="plain"
+                          tone="critical"
+                          onClick={() =>
+                            setEditing((x) => ({ ...x, variants: x.variants.filter((_, j) => j !== i) }))
+                          }
+                        >
+                          Remove
+                        </Button>
+                      ) : null}
+                    </InlineStack>
+                    <InlineStack gap="300" wrap={false}>
+                      <TextField
+                        label="Label"
+                        value={v.label}
+                        onChange={setVariant(i, "label")}
+                        disabled={editing.locked}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Weight"
+                        type="number"
+                        value={v.weight}
+                        onChange={setVariant(i, "weight")}
+                        disabled={editing.locked}
+                        autoComplete="off"
+                        suffix={totalWeight ? `${Math.round(((Number.parseInt(v.weight, 10) || 0) / totalWeight) * 100)}%` : ""}
+                      />
+                    </InlineStack>
+                    <TextField
+                      label="Checkbox text"
+                      value={v.text}
+                      onChange={setVariant(i, "text")}
+                      disabled={editing.locked}
+                      autoComplete="off"
+                      multiline={3}
+                      helpText="HTML is supported. Leave blank to show the copy from Settings."
+                    />
+                  </BlockStack>
+                </Card>
+              ))}
+              {!editing.locked && editing.variants.length < MAX_VARIANTS ? (
+                <InlineStack>
+                  <Button
+                    onClick={() =>
+                      setEditing((x) => ({ ...x, variants: [...x.variants, blankVariant(x.variants.length)] }))
+                    }
+                  >
+                    Add variant
+                  </Button>
+                </InlineStack>
+              ) : null}
+            </BlockStack>
+          </Modal.Section>
+        ) : null}
+      </Modal>
+    </Page>
+  );
+}
@@ -0,0 +1,12 @@
+// app/routes/app.experiments.jsx
+import { Outlet } from "@remix-run/react";
+import { authenticate } from "~/shopify.server";
+
+export async function loader({ request }) {
+  await authenticate.admin(request);
+  return null;
+}
+
+export default function ExperimentsLayout() {
+  return <Outlet />;
+}
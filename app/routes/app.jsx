@@ -22,6 +22,11 @@ export default function App() {
       <NavMenu>
         <Link to="/app" rel="home">Home</Link>
         <Link to="/app/customers">Customers</Link>
+        <Link to="/app/matrix">Consent matrix</Link>
+        <Link to="/app/purposes">Consent purposes</Link>
+        <Link to="/app/experiments">Copy experiments</Link>
+        <Link to="/app/simulator">Simulator</Link>
+        <Link to="/app/throttling">Rate limits</Link>
         <Link to="/app/settings">Settings</Link>
         <Link to="/app/klaviyo">Klaviyo</Link>
       </NavMenu>
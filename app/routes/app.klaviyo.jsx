@@ -21,30 +21,6 @@ import {
 import { useEffect, useState } from "react";
 import { ClipboardIcon, DeleteIcon } from "@shopify/polaris-icons";
 
-/* ------------------------------ helpers ------------------------------ */
-
-async function fetchKlaviyoLists(key) {
-  // Klaviyo HTTP API (private key)
-  // Docs: https://developers.klaviyo.com/en/reference/get_lists
-  const res = await fetch("https://a.klaviyo.com/api/lists", {
-    headers: {
-      Accept: "application/json",
-      Authorization: `Klaviyo-API-Key ${key}`,
-      Revision: "2024-10-15",
-    },
-  });
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Klaviyo list fetch failed (${res.status}): ${text}`);
-  }
-  const json = await res.json();
-  const items = (json?.data || []).map((d) => ({
-    label: d?.attributes?.name || d?.id,
-    value: d?.id,
-  }));
-  return items;
-}
-
 /* ------------------------------ loader ------------------------------ */
 
 export async function loader({ request }) {
@@ -53,6 +29,7 @@ export async function loader({ request }) {
     where: { shop: session.shop },
   });
 
+  const { fetchKlaviyoLists } = await import("~/services/sync-to-klaviyo.server");
   const decryptedKey = row?.encryptedKey ? dec(row.encryptedKey) : "";
   let listOptions = [];
   let loadError = null;
@@ -76,6 +53,8 @@ export async function loader({ request }) {
       singleOptListName: row?.singleOptListName || "",
       doubleOptListId: row?.doubleOptListId || "",
       doubleOptListName: row?.doubleOptListName || "",
+      smsListId: row?.smsListId || "",
+      smsListName: row?.smsListName || "",
     },
     loadError,
   });
@@ -114,6 +93,8 @@ export async function action({ request }) {
         singleOptListName: null,
         doubleOptListId: null,
         doubleOptListName: null,
+        smsListId: null,
+        smsListName: null,
       },
       create: { shop: session.shop, encryptedKey: "" },
     });
@@ -125,6 +106,8 @@ export async function action({ request }) {
     const singleOptListName = String(form.get("singleOptListName") || "");
     const doubleOptListId = String(form.get("doubleOptListId") || "");
     const doubleOptListName = String(form.get("doubleOptListName") || "");
+    const smsListId = String(form.get("smsListId") || "");
+    const smsListName = String(form.get("smsListName") || "");
 
     await prisma.klaviyoSettings.update({
       where: { shop: session.shop },
@@ -133,6 +116,8 @@ export async function action({ request }) {
         singleOptListName: singleOptListName || null,
         doubleOptListId: doubleOptListId || null,
         doubleOptListName: doubleOptListName || null,
+        smsListId: smsListId || null,
+        smsListName: smsListName || null,
       },
     });
     return json({ ok: true });
@@ -154,6 +139,7 @@ export default function KlaviyoSettingsPage() {
   // list selections
   const [singleId, setSingleId] = useState(saved.singleOptListId || "");
   const [doubleId, setDoubleId] = useState(saved.doubleOptListId || "");
+  const [smsId, setSmsId] = useState(saved.smsListId || "");
 
   useEffect(() => {
     if (!copied) return;
@@ -193,6 +179,8 @@ export default function KlaviyoSettingsPage() {
     fd.set("singleOptListName", opt(singleId));
     fd.set("doubleOptListId", doubleId);
     fd.set("doubleOptListName", opt(doubleId));
+    fd.set("smsListId", smsId);
+    fd.set("smsListName", opt(smsId));
     submit(fd, { method: "post" });
   };
 
@@ -310,6 +298,14 @@ export default function KlaviyoSettingsPage() {
                         onChange={setDoubleId}
                       />
 
+                      <Select
+                        label="SMS List"
+                        helpText="Buyers who tick the SMS box at checkout are subscribed to SMS marketing on this list."
+                        options={[{ label: "— Select a list —", value: "" }, ...listOptions]}
+                        value={smsId}
+                        onChange={setSmsId}
+                      />
+
                       <InlineStack gap="200">
                         <Button variant="primary" onClick={saveLists} disabled={listsLoading}>
                           Save
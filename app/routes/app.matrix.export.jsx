@@ -0,0 +1,28 @@
+// app/routes/app.matrix.export.jsx
+import { authenticate } from "~/shopify.server";
+
+// Resource route: the shop's effective matrix (active version + overrides) as CSV
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const { getEffectiveMatrix } = await import("~/services/consent-matrix.server");
+  const { matrixToCsv } = await import("~/utils/matrix-csv.server");
+
+  const rows = (await getEffectiveMatrix(session.shop)).map((r) => ({
+    country_code: r.countryCode,
+    region_code: r.regionCode || "",
+    country: r.country,
+    customer_type: r.customerType,
+    widget: String(r.widget).toLowerCase(),
+    email_method: r.emailMethod,
+    sms_widget: String(r.smsWidget).toLowerCase(),
+    sms_method: r.smsMethod,
+  }));
+
+  return new Response(matrixToCsv(rows), {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="consent-matrix-${session.shop}.csv"`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
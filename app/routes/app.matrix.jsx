@@ -0,0 +1,599 @@
+// app/routes/app.matrix.jsx
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import { authenticate } from "~/shopify.server";
+import { prisma } from "~/db.server";
+import {
+  Page, Card, Box, BlockStack, InlineStack, Text, Badge, IndexTable,
+  TextField, Select, Modal, Tabs, Banner, DataTable, DropZone, Button, List,
+} from "@shopify/polaris";
+import { useEffect, useMemo, useState } from "react";
+
+const WIDGETS = ["OPT_IN", "OPT_OUT", "NO_CHECKBOX"];
+const EMAIL_METHODS = ["SOI", "DOI"];
+
+const WIDGET_OPTIONS = [
+  { label: "Opt-in checkbox", value: "OPT_IN" },
+  { label: "Opt-out checkbox", value: "OPT_OUT" },
+  { label: "No checkbox", value: "NO_CHECKBOX" },
+];
+const METHOD_OPTIONS = [
+  { label: "Single opt-in (SOI)", value: "SOI" },
+  { label: "Double opt-in (DOI)", value: "DOI" },
+];
+
+function widgetLabel(w) {
+  return WIDGET_OPTIONS.find((o) => o.value === w)?.label || w || "—";
+}
+
+function formatDate(d) {
+  try { return new Date(d).toLocaleString(); } catch { return "—"; }
+}
+
+function diffCell(row) {
+  if (!row) return "—";
+  const sms = row.sms_widget || row.sms_method ? `; SMS ${row.sms_widget || "default"} / ${row.sms_method || "default"}` : "";
+  return `${row.widget} / ${row.email_method}${sms}`;
+}
+
+const CHANGE_TONE = { added: "success", changed: "attention", removed: "critical" };
+
+function versionStatus(v, activeId) {
+  if (v.id === activeId) return <Badge tone="success">Active</Badge>;
+  if (new Date(v.effectiveFrom) > new Date()) return <Badge tone="info">Scheduled</Badge>;
+  return <Badge>Superseded</Badge>;
+}
+
+/* ------------------------------ loader ------------------------------ */
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const { getEffectiveMatrix, getActiveMatrixVersion } = await import("~/services/consent-matrix.server");
+
+  const [rows, activeVersion, versions] = await Promise.all([
+    getEffectiveMatrix(session.shop),
+    getActiveMatrixVersion(session.shop),
+    prisma.consentMatrixVersion.findMany({
+      where: { shop: session.shop },
+      orderBy: { effectiveFrom: "desc" },
+      select: { id: true, label: true, effectiveFrom: true, createdAt: true },
+      take: 50,
+    }),
+  ]);
+  return json({ rows, activeVersion, versions });
+}
+
+// Read an uploaded matrix (CSV, or JSON in the consent_matrix.json format) and
+// validate it. JSON goes through the same CSV validator so both get identical checks.
+async function readMatrixFile(file) {
+  const { csvToMatrixRows, matrixToCsv } = await import("~/utils/matrix-csv.server");
+  const text = await file.text();
+  const isJson = /\.json$/i.test(file.name || "") || text.trim().startsWith("[");
+  if (!isJson) return csvToMatrixRows(text);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return { rows: [], errors: [{ line: 0, message: `Invalid JSON: ${e?.message || e}` }] };
+  }
+  if (!Array.isArray(parsed)) {
+    return { rows: [], errors: [{ line: 0, message: "JSON matrix must be an array of rows" }] };
+  }
+  const res = csvToMatrixRows(matrixToCsv(parsed));
+  // CSV line 2 is JSON row 1
+  return { ...res, errors: res.errors.map((e) => ({ ...e, line: Math.max(0, e.line - 1) })) };
+}
+
+// Validate the upload and diff it against the version in force. Nothing is saved.
+async function previewVersion(shop, form) {
+  const file = form.get("file");
+  if (!file || typeof file === "string" || !file.size) {
+    return json({ ok: false, errors: { file: "Choose a CSV or JSON matrix file." } }, { status: 400 });
+  }
+
+  const { getMatrixRows } = await import("~/services/consent-matrix.server");
+  const { diffMatrix } = await import("~/utils/matrix-csv.server");
+  const { rows, errors } = await readMatrixFile(file);
+  const current = await getMatrixRows(shop);
+  const diff = errors.length ? [] : diffMatrix(current.rows, rows);
+
+  return json({
+    ok: false, // preview only: keep the form as-is
+    preview: {
+      fileName: file.name,
+      rowCount: rows.length,
+      against: current.version.label,
+      errors: errors.slice(0, 200),
+      errorCount: errors.length,
+      diff: diff.slice(0, 500),
+      counts: {
+        added: diff.filter((d) => d.change === "added").length,
+        changed: diff.filter((d) => d.change === "changed").length,
+        removed: diff.filter((d) => d.change === "removed").length,
+      },
+    },
+  });
+}
+
+// Publish an uploaded matrix (CSV or JSON) as a new version
+async function publishVersion(shop, form) {
+  const label = String(form.get("label") || "").trim();
+  const effectiveRaw = String(form.get("effectiveFrom") || "").trim();
+  const file = form.get("file");
+
+  const errors = {};
+  if (!label) errors.label = "Label is required.";
+  // The page sends an ISO timestamp with its offset (see publish below); anything
+  // without one would be read in the server's timezone, so it's refused
+  const effectiveFrom = effectiveRaw ? new Date(effectiveRaw) : new Date();
+  if (effectiveRaw && !/(Z|[+-]\d{2}:?\d{2})$/i.test(effectiveRaw)) errors.effectiveFrom = "Effective date needs a timezone.";
+  else if (Number.isNaN(effectiveFrom.valueOf())) errors.effectiveFrom = "Effective date is invalid.";
+  if (!file || typeof file === "string" || !file.size) errors.file = "Choose a CSV or JSON matrix file.";
+  if (Object.keys(errors).length) return json({ ok: false, errors }, { status: 400 });
+
+  const { rows, errors: rowErrors } = await readMatrixFile(file);
+  if (rowErrors.length) {
+    return json(
+      { ok: false, errors: { file: `${rowErrors.length} row(s) failed validation. Preview the file to see them.` } },
+      { status: 400 }
+    );
+  }
+
+  await prisma.consentMatrixVersion.create({
+    data: { shop, label, effectiveFrom, rows },
+  });
+  return json({ ok: true, message: "Matrix version published" });
+}
+
+/* ------------------------------ action ------------------------------ */
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const form = await request.formData();
+  const intent = form.get("_intent");
+
+  if (intent === "previewVersion") return previewVersion(shop, form);
+  if (intent === "publishVersion") return publishVersion(shop, form);
+
+  const countryCode = String(form.get("countryCode") || "").trim().toUpperCase();
+  const customerType = String(form.get("customerType") || "").trim().toLowerCase();
+  if (!countryCode || !["single", "repeat"].includes(customerType)) {
+    return json({ ok: false, error: "Missing country or customer type" }, { status: 400 });
+  }
+  const key = { shop_countryCode_customerType: { shop, countryCode, customerType } };
+
+  if (intent === "resetOverride") {
+    await prisma.consentRuleOverride.deleteMany({ where: { shop, countryCode, customerType } });
+    return json({ ok: true, message: "Rule reset to default" });
+  }
+
+  if (intent === "saveOverride") {
+    const widget = String(form.get("widget") || "").toUpperCase();
+    const emailMethod = String(form.get("emailMethod") || "").toUpperCase();
+    const smsWidget = String(form.get("smsWidget") || "").toUpperCase();
+    const smsMethod = String(form.get("smsMethod") || "").toUpperCase();
+    if (!WIDGETS.includes(widget) || !EMAIL_METHODS.includes(emailMethod)) {
+      return json({ ok: false, error: "Invalid widget or email method" }, { status: 400 });
+    }
+    if (!WIDGETS.includes(smsWidget) || !EMAIL_METHODS.includes(smsMethod)) {
+      return json({ ok: false, error: "Invalid SMS widget or method" }, { status: 400 });
+    }
+
+    // Saving the active version's value again is the same as having no override.
+    // A region without its own row ("US-CA") defaults to its country row.
+    const { getEffectiveMatrix, normRegion } = await import("~/services/consent-matrix.server");
+    const matrix = await getEffectiveMatrix(shop);
+    const region = normRegion(countryCode);
+    const row =
+      matrix.find((r) => r.code === countryCode && r.customerType === customerType) ||
+      (region
+        ? matrix.find(
+            (r) => !r.regionCode && r.countryCode === region.slice(0, 2) && r.customerType === customerType
+          )
+        : null);
+    if (!row) return json({ ok: false, error: "Unknown country or region" }, { status: 404 });
+
+    // SMS columns equal to the version's are stored unset, so they follow later versions
+    const sms = {
+      smsWidget: row.defaultSmsWidget === smsWidget ? null : smsWidget,
+      smsMethod: row.defaultSmsMethod === smsMethod ? null : smsMethod,
+    };
+    if (row.defaultWidget === widget && row.defaultEmailMethod === emailMethod && !sms.smsWidget && !sms.smsMethod) {
+      await prisma.consentRuleOverride.deleteMany({ where: { shop, countryCode, customerType } });
+    } else {
+      await prisma.consentRuleOverride.upsert({
+        where: key,
+        update: { widget, emailMethod, ...sms },
+        create: { shop, countryCode, customerType, widget, emailMethod, ...sms },
+      });
+    }
+    return json({ ok: true, message: "Rule saved" });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+/* ------------------------------ component ------------------------------ */
+
+export default function ConsentMatrixPage() {
+  const { rows, activeVersion, versions } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const nav = useNavigation();
+  const busy = nav.state !== "idle";
+
+  const [query, setQuery] = useState("");
+  const [tab, setTab] = useState(0); // 0 = all, 1 = overridden
+  const [editing, setEditing] = useState(null); // row being edited
+  const [adding, setAdding] = useState(false); // new regional rule
+  const [regionCode, setRegionCode] = useState("");
+  const [regionType, setRegionType] = useState("single");
+  const [widget, setWidget] = useState("");
+  const [emailMethod, setEmailMethod] = useState("");
+  const [smsWidget, setSmsWidget] = useState("");
+  const [smsMethod, setSmsMethod] = useState("");
+
+  // Publish form
+  const [label, setLabel] = useState("");
+  const [effectiveFrom, setEffectiveFrom] = useState("");
+  const [file, setFile] = useState(null);
+
+  useEffect(() => {
+    if (busy || !actionData) return;
+    if (actionData.ok) {
+      shopify.toast.show(actionData.message || "Saved");
+      setEditing(null);
+      setAdding(false);
+      setRegionCode("");
+      setLabel("");
+      setEffectiveFrom("");
+      setFile(null);
+    }
+  }, [busy, actionData]);
+
+  const overriddenCount = useMemo(() => rows.filter((r) => r.overridden).length, [rows]);
+
+  const visible = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return rows.filter((r) => {
+      if (tab === 1 && !r.overridden) return false;
+      if (!q) return true;
+      return (
+        String(r.country || "").toLowerCase().includes(q) ||
+        String(r.countryCode || "").toLowerCase() === q ||
+        String(r.regionCode || "").toLowerCase().startsWith(q)
+      );
+    });
+  }, [rows, query, tab]);
+
+  const openEditor = (row) => {
+    setEditing(row);
+    setWidget(row.widget);
+    setEmailMethod(row.emailMethod);
+    setSmsWidget(row.smsWidget);
+    setSmsMethod(row.smsMethod);
+  };
+
+  const openRegionEditor = () => {
+    setAdding(true);
+    setRegionCode("");
+    setRegionType("single");
+    setWidget("OPT_IN");
+    setEmailMethod("SOI");
+    setSmsWidget("OPT_IN");
+    setSmsMethod("SOI");
+  };
+
+  const send = (intent, target = editing) => {
+    const fd = new FormData();
+    fd.set("_intent", intent);
+    fd.set("countryCode", target.code);
+    fd.set("customerType", target.customerType);
+    fd.set("widget", widget);
+    fd.set("emailMethod", emailMethod);
+    fd.set("smsWidget", smsWidget);
+    fd.set("smsMethod", smsMethod);
+    submit(fd, { method: "post" });
+  };
+
+  // The preview in actionData is only valid for the file currently selected
+  const preview = actionData?.preview && file && actionData.preview.fileName === file.name
+    ? actionData.preview
+    : null;
+  const canPublish = !!preview && preview.errorCount === 0 && !!label.trim();
+
+  const previewFile = () => {
+    const fd = new FormData();
+    fd.set("_intent", "previewVersion");
+    fd.set("file", file);
+    submit(fd, { method: "post", encType: "multipart/form-data" });
+  };
+
+  const exportCsv = async () => {
+    try {
+      const res = await fetch("/app/matrix/export");
+      if (!res.ok) throw new Error(`Export failed (${res.status})`);
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `consent-matrix-${new Date().toISOString().slice(0, 10)}.csv`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      shopify.toast.show(e?.message || "Export failed", { isError: true });
+    }
+  };
+
+  const publish = () => {
+    const fd = new FormData();
+    fd.set("_intent", "publishVersion");
+    fd.set("label", label);
+    // datetime-local has no timezone: read it in the merchant's browser, send UTC
+    const at = effectiveFrom ? new Date(effectiveFrom) : null;
+    fd.set("effectiveFrom", at && !Number.isNaN(at.valueOf()) ? at.toISOString() : effectiveFrom);
+    if (file) fd.set("file", file);
+    submit(fd, { method: "post", encType: "multipart/form-data" });
+  };
+
+  const tabs = [
+    { id: "all", content: "All rules" },
+    { id: "overridden", content: `Overridden (${overriddenCount})` },
+  ];
+
+  return (
+    <Page
+      title="Consent matrix"
+      subtitle="Checkout widgets and email / SMS methods per country, region and customer type"
+      primaryAction={{ content: "Add regional rule", onAction: openRegionEditor }}
+      secondaryActions={[{ content: "Export CSV", onAction: exportCsv }]}
+    >
+      <Box paddingBlockEnd={800}>
+        <BlockStack gap="400">
+          {actionData?.error ? <Banner tone="critical">{actionData.error}</Banner> : null}
+
+          {/* --- Versions --- */}
+          <Card>
+            <BlockStack gap="400">
+              <BlockStack gap="100">
+                <Text as="h2" variant="headingMd">Matrix versions</Text>
+                <Text as="p" tone="subdued">
+                  In force now: <b>{activeVersion.label}</b>
+                  {activeVersion.effectiveFrom ? ` (since ${formatDate(activeVersion.effectiveFrom)})` : ""}.
+                  Every checkout session records the version that decided it. Overrides below apply on top
+                  of the active version.
+                </Text>
+              </BlockStack>
+
+              {versions.length ? (
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text"]}
+                  headings={["Label", "Effective from", "Published", "Status"]}
+                  rows={versions.map((v) => [
+                    v.label,
+                    formatDate(v.effectiveFrom),
+                    formatDate(v.createdAt),
+                    versionStatus(v, activeVersion.id),
+                  ])}
+                />
+              ) : null}
+
+              <BlockStack gap="300">
+                <Text as="h3" variant="headingSm">Publish a new version</Text>
+                <InlineStack gap="300" wrap={false}>
+                  <Box minWidth="50%">
+                    <TextField
+                      label="Label"
+                      value={label}
+                      onChange={setLabel}
+                      autoComplete="off"
+                      placeholder="e.g. 2026 Q1 legal review"
+                      error={actionData?.errors?.label}
+                    />
+                  </Box>
+                  <TextField
+                    label="Effective from"
+                    type="datetime-local"
+                    value={effectiveFrom}
+                    onChange={setEffectiveFrom}
+                    autoComplete="off"
+                    helpText="Your local time. Leave empty to apply immediately."
+                    error={actionData?.errors?.effectiveFrom}
+                  />
+                </InlineStack>
+                <DropZone
+                  label="Matrix file (CSV or JSON)"
+                  accept="text/csv,.csv,application/json,.json"
+                  allowMultiple={false}
+                  onDrop={(_all, accepted) => setFile(accepted[0] || null)}
+                  error={!!actionData?.errors?.file}
+                >
+                  {file ? (
+                    <Box padding="400"><Text as="p">{file.name}</Text></Box>
+                  ) : (
+                    <DropZone.FileUpload actionHint="Columns: country_code, region_code, country, customer_type, widget, email_method, sms_widget, sms_method" />
+                  )}
+                </DropZone>
+                {actionData?.errors?.file ? (
+                  <Text as="p" tone="critical">{actionData.errors.file}</Text>
+                ) : null}
+
+                {preview ? (
+                  <BlockStack gap="300">
+                    {preview.errorCount ? (
+                      <Banner tone="critical" title={`${preview.errorCount} problem(s) in ${preview.fileName}`}>
+                        <List type="bullet">
+                          {preview.errors.map((e, i) => (
+                            <List.Item key={i}>
+                              {e.line ? `Line ${e.line}: ` : ""}{e.message}
+                            </List.Item>
+                          ))}
+                        </List>
+                      </Banner>
+                    ) : (
+                      <>
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text as="span">
+                            {preview.rowCount} rows, compared with <b>{preview.against}</b>:
+                          </Text>
+                          <Badge tone="success">{`${preview.counts.added} added`}</Badge>
+                          <Badge tone="attention">{`${preview.counts.changed} changed`}</Badge>
+                          <Badge tone="critical">{`${preview.counts.removed} removed`}</Badge>
+                        </InlineStack>
+                        {preview.diff.length ? (
+                          <DataTable
+                            columnContentTypes={["text", "text", "text", "text"]}
+                            headings={["Rule", "Change", "Current", "New"]}
+                            rows={preview.diff.map((d) => [
+                              d.key.replace("|", " / "),
+                              <Badge key={d.key} tone={CHANGE_TONE[d.change]}>{d.change}</Badge>,
+                              diffCell(d.before),
+                              diffCell(d.after),
+                            ])}
+                          />
+                        ) : (
+                          <Text as="p" tone="subdued">No differences from the version in force.</Text>
+                        )}
+                      </>
+                    )}
+                  </BlockStack>
+                ) : null}
+
+                <InlineStack gap="200">
+                  <Button onClick={previewFile} disabled={busy || !file}>
+                    Preview changes
+                  </Button>
+                  <Button variant="primary" onClick={publish} disabled={busy || !canPublish}>
+                    Publish version
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </BlockStack>
+          </Card>
+
+          <Card padding="0">
+            <Tabs tabs={tabs} selected={tab} onSelect={setTab} />
+            <Box padding="300">
+              <TextField
+                label="Search"
+                labelHidden
+                value={query}
+                onChange={setQuery}
+                placeholder="Search by country or code"
+                autoComplete="off"
+                clearButton
+                onClearButtonClick={() => setQuery("")}
+              />
+            </Box>
+            <IndexTable
+              resourceName={{ singular: "rule", plural: "rules" }}
+              itemCount={visible.length}
+              selectable={false}
+              headings={[
+                { title: "Country" },
+                { title: "Code" },
+                { title: "Customer type" },
+                { title: "Widget" },
+                { title: "Email method" },
+                { title: "SMS widget" },
+                { title: "SMS method" },
+                { title: "Status" },
+              ]}
+            >
+              {visible.map((r, index) => (
+                <IndexTable.Row
+                  id={`${r.code}|${r.customerType}`}
+                  key={`${r.code}|${r.customerType}`}
+                  position={index}
+                  onClick={() => openEditor(r)}
+                >
+                  <IndexTable.Cell>
+                    <Text as="span" variant="bodyMd" fontWeight="semibold">{r.country || "—"}</Text>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>{r.code}</IndexTable.Cell>
+                  <IndexTable.Cell>{r.customerType === "repeat" ? "Repeat" : "Single"}</IndexTable.Cell>
+                  <IndexTable.Cell>{widgetLabel(r.widget)}</IndexTable.Cell>
+                  <IndexTable.Cell>{r.emailMethod}</IndexTable.Cell>
+                  <IndexTable.Cell>{widgetLabel(r.smsWidget)}</IndexTable.Cell>
+                  <IndexTable.Cell>{r.smsMethod}</IndexTable.Cell>
+                  <IndexTable.Cell>
+                    {r.overridden ? <Badge tone="info">Overridden</Badge> : <Badge>Default</Badge>}
+                  </IndexTable.Cell>
+                </IndexTable.Row>
+              ))}
+            </IndexTable>
+          </Card>
+        </BlockStack>
+      </Box>
+
+      <Modal
+        open={!!editing}
+        onClose={() => setEditing(null)}
+        title={editing ? `${editing.country} (${editing.code}) — ${editing.customerType}` : ""}
+        primaryAction={{ content: "Save", onAction: () => send("saveOverride"), loading: busy }}
+        secondaryActions={
+          editing?.overridden
+            ? [{ content: "Reset to default", destructive: true, onAction: () => send("resetOverride") }]
+            : []
+        }
+      >
+        {editing ? (
+          <Modal.Section>
+            <BlockStack gap="300">
+              <Select label="Widget" options={WIDGET_OPTIONS} value={widget} onChange={setWidget} />
+              <Select label="Email method" options={METHOD_OPTIONS} value={emailMethod} onChange={setEmailMethod} />
+              <Select label="SMS widget" options={WIDGET_OPTIONS} value={smsWidget} onChange={setSmsWidget} />
+              <Select label="SMS method" options={METHOD_OPTIONS} value={smsMethod} onChange={setSmsMethod} />
+              <InlineStack gap="200">
+                <Text as="span" tone="subdued">
+                  Version default: {widgetLabel(editing.defaultWidget)} / {editing.defaultEmailMethod}; SMS{" "}
+                  {widgetLabel(editing.defaultSmsWidget)} / {editing.defaultSmsMethod}
+                </Text>
+              </InlineStack>
+            </BlockStack>
+          </Modal.Section>
+        ) : null}
+      </Modal>
+
+      <Modal
+        open={adding}
+        onClose={() => setAdding(false)}
+        title="Add regional rule"
+        primaryAction={{
+          content: "Save",
+          loading: busy,
+          disabled: !/^[A-Za-z]{2}-[A-Za-z0-9]{1,3}$/.test(regionCode.trim()),
+          onAction: () =>
+            send("saveOverride", { code: regionCode.trim().toUpperCase(), customerType: regionType }),
+        }}
+      >
+        <Modal.Section>
+          <BlockStack gap="300">
+            <TextField
+              label="Region code"
+              value={regionCode}
+              onChange={setRegionCode}
+              autoComplete="off"
+              placeholder="US-CA"
+              helpText="ISO 3166-2 subdivision code. Buyers from other regions keep the country rule."
+            />
+            <Select
+              label="Customer type"
+              options={[
+                { label: "Single", value: "single" },
+                { label: "Repeat", value: "repeat" },
+              ]}
+              value={regionType}
+              onChange={setRegionType}
+            />
+            <Select label="Widget" options={WIDGET_OPTIONS} value={widget} onChange={setWidget} />
+            <Select label="Email method" options={METHOD_OPTIONS} value={emailMethod} onChange={setEmailMethod} />
+            <Select label="SMS widget" options={WIDGET_OPTIONS} value={smsWidget} onChange={setSmsWidget} />
+            <Select label="SMS method" options={METHOD_OPTIONS} value={smsMethod} onChange={setSmsMethod} />
+          </BlockStack>
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
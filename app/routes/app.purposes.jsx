@@ -0,0 +1,320 @@
+// app/routes/app.purposes.jsx
+import { json } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import { authenticate } from "~/shopify.server";
+import { prisma } from "~/db.server";
+import { dec } from "~/utils/crypto.server";
+import {
+  Page, Card, Box, BlockStack, InlineStack, Text, Badge, IndexTable,
+  TextField, Select, Modal, Banner, Checkbox, EmptyState,
+} from "@shopify/polaris";
+import { useEffect, useState } from "react";
+
+const DEFAULT_COLUMNS = [
+  { field: "defaultOptIn", label: "Opt-in" },
+  { field: "defaultOptOut", label: "Opt-out" },
+  { field: "defaultNoCheckbox", label: "No checkbox" },
+];
+
+const BLANK = {
+  id: "",
+  key: "",
+  label: "",
+  text: "",
+  defaultOptIn: false,
+  defaultOptOut: false,
+  defaultNoCheckbox: false,
+  klaviyoListId: "",
+  klaviyoProperty: "",
+  position: "0",
+  active: true,
+};
+
+function defaultsLabel(p) {
+  const on = DEFAULT_COLUMNS.filter((c) => p[c.field]).map((c) => c.label);
+  return on.length ? on.join(", ") : "Never";
+}
+
+/* ------------------------------ loader ------------------------------ */
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const purposes = await prisma.consentPurpose.findMany({
+    where: { shop },
+    orderBy: [{ position: "asc" }, { createdAt: "asc" }],
+  });
+
+  // Lists to map purposes to (only when Klaviyo is connected)
+  const klaviyo = await prisma.klaviyoSettings.findUnique({ where: { shop } });
+  let listOptions = [];
+  let listError = null;
+  if (klaviyo?.encryptedKey) {
+    const { fetchKlaviyoLists } = await import("~/services/sync-to-klaviyo.server");
+    try {
+      listOptions = await fetchKlaviyoLists(dec(klaviyo.encryptedKey));
+    } catch (e) {
+      listError = e?.message || "Failed to load lists from Klaviyo.";
+    }
+  }
+
+  return json({ purposes, listOptions, listError, hasKlaviyo: !!klaviyo?.encryptedKey });
+}
+
+/* ------------------------------ action ------------------------------ */
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const form = await request.formData();
+  const intent = form.get("_intent");
+  const id = String(form.get("id") || "");
+
+  if (intent === "deletePurpose") {
+    // Past events and customers keep the key; the customer page shows it as-is
+    await prisma.consentPurpose.deleteMany({ where: { id, shop } });
+    return json({ ok: true, message: "Purpose deleted" });
+  }
+
+  if (intent === "savePurpose") {
+    const { PURPOSE_KEY_RE, PROPERTY_RE } = await import("~/services/consent-purposes.server");
+    const data = {
+      key: String(form.get("key") || "").trim().toLowerCase(),
+      label: String(form.get("label") || "").trim(),
+      text: String(form.get("text") || "").trim(),
+      defaultOptIn: form.get("defaultOptIn") === "true",
+      defaultOptOut: form.get("defaultOptOut") === "true",
+      defaultNoCheckbox: form.get("defaultNoCheckbox") === "true",
+      klaviyoListId: String(form.get("klaviyoListId") || "") || null,
+      klaviyoListName: String(form.get("klaviyoListName") || "") || null,
+      klaviyoProperty: String(form.get("klaviyoProperty") || "").trim() || null,
+      position: Number.parseInt(String(form.get("position") || "0"), 10) || 0,
+      active: form.get("active") === "true",
+    };
+
+    const errors = {};
+    if (!PURPOSE_KEY_RE.test(data.key))
+      errors.key = "Use lowercase letters, digits, - or _ (up to 40), e.g. partner-offers.";
+    if (!data.label) errors.label = "Label is required.";
+    if (!data.text) errors.text = "Checkbox text is required.";
+    if (data.klaviyoProperty && !PROPERTY_RE.test(data.klaviyoProperty))
+      errors.klaviyoProperty = "Start with a letter; letters, digits, spaces or _ only.";
+    const clash = await prisma.consentPurpose.findFirst({
+      where: { shop, key: data.key, ...(id ? { NOT: { id } } : {}) },
+      select: { id: true },
+    });
+    if (clash) errors.key = "Another purpose already uses this key.";
+    if (Object.keys(errors).length) return json({ ok: false, errors }, { status: 400 });
+
+    if (id) {
+      const { count } = await prisma.consentPurpose.updateMany({ where: { id, shop }, data });
+      if (!count) return json({ ok: false, error: "Purpose not found" }, { status: 404 });
+    } else {
+      await prisma.consentPurpose.create({ data: { shop, ...data } });
+    }
+    return json({ ok: true, message: "Purpose saved" });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+/* ------------------------------ component ------------------------------ */
+
+export default function ConsentPurposesPage() {
+  const { purposes, listOptions, listError, hasKlaviyo } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const nav = useNavigation();
+  const busy = nav.state !== "idle";
+
+  const [editing, setEditing] = useState(null); // form values, or null when closed
+
+  useEffect(() => {
+    if (busy || !actionData) return;
+    if (actionData.ok) {
+      shopify.toast.show(actionData.message || "Saved");
+      setEditing(null);
+    }
+  }, [busy, actionData]);
+
+  const open = (p) =>
+    setEditing(
+      p
+        ? {
+            ...BLANK,
+            ...p,
+            klaviyoListId: p.klaviyoListId || "",
+            klaviyoProperty: p.klaviyoProperty || "",
+            position: String(p.position ?? 0),
+          }
+        : { ...BLANK, position: String(purposes.length) }
+    );
+  const set = (field) => (value) => setEditing((v) => ({ ...v, [field]: value }));
+
+  const send = (intent) => {
+    const fd = new FormData();
+    fd.set("_intent", intent);
+    fd.set("id", editing.id || "");
+    if (intent === "savePurpose") {
+      for (const f of ["key", "label", "text", "klaviyoListId", "klaviyoProperty", "position"]) fd.set(f, editing[f]);
+      for (const f of ["defaultOptIn", "defaultOptOut", "defaultNoCheckbox", "active"]) fd.set(f, String(!!editing[f]));
+      fd.set("klaviyoListName", listOptions.find((o) => o.value === editing.klaviyoListId)?.label || "");
+    }
+    submit(fd, { method: "post" });
+  };
+
+  const errors = editing && actionData?.errors ? actionData.errors : {};
+
+  return (
+    <Page
+      title="Consent purposes"
+      subtitle="Extra checkboxes for each thing you market for, e.g. newsletter, product updates, partner offers"
+      primaryAction={{ content: "Add purpose", onAction: () => open(null) }}
+    >
+      <Box paddingBlockEnd={800}>
+        <BlockStack gap="400">
+          {actionData?.error && !actionData.ok ? <Banner tone="critical" title={actionData.error} /> : null}
+          <Banner tone="info">
+            Each purpose is shown under the main consent checkbox as its own tick-to-agree box, pre-ticked only
+            under the matrix modes you choose. Nothing is asked under &quot;No checkbox&quot;: the purpose gets its
+            no-checkbox default. Partner marketing should stay unticked everywhere so it only ever comes from an
+            explicit tick.
+          </Banner>
+
+          <Card padding="0">
+            {purposes.length === 0 ? (
+              <EmptyState
+                heading="No consent purposes yet"
+                action={{ content: "Add purpose", onAction: () => open(null) }}
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>Without purposes the widget shows the single marketing checkbox.</p>
+              </EmptyState>
+            ) : (
+              <IndexTable
+                resourceName={{ singular: "purpose", plural: "purposes" }}
+                itemCount={purposes.length}
+                selectable={false}
+                headings={[
+                  { title: "Purpose" },
+                  { title: "Key" },
+                  { title: "Ticked by default" },
+                  { title: "Klaviyo" },
+                  { title: "Status" },
+                ]}
+              >
+                {purposes.map((p, index) => (
+                  <IndexTable.Row id={p.id} key={p.id} position={index} onClick={() => open(p)}>
+                    <IndexTable.Cell>
+                      <Text as="span" variant="bodyMd" fontWeight="semibold">{p.label}</Text>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>{p.key}</IndexTable.Cell>
+                    <IndexTable.Cell>{defaultsLabel(p)}</IndexTable.Cell>
+                    <IndexTable.Cell>
+                      {[p.klaviyoListName || p.klaviyoListId, p.klaviyoProperty && `property "${p.klaviyoProperty}"`]
+                        .filter(Boolean)
+                        .join(" + ") || "—"}
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>
+                      {p.active ? <Badge tone="success">Active</Badge> : <Badge>Hidden</Badge>}
+                    </IndexTable.Cell>
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+            )}
+          </Card>
+        </BlockStack>
+      </Box>
+
+      <Modal
+        open={!!editing}
+        onClose={() => setEditing(null)}
+        title={editing?.id ? `Edit ${editing.label || "purpose"}` : "Add purpose"}
+        primaryAction={{ content: "Save", onAction: () => send("savePurpose"), loading: busy }}
+        secondaryActions={
+          editing?.id ? [{ content: "Delete", destructive: true, onAction: () => send("deletePurpose") }] : []
+        }
+      >
+        {editing ? (
+          <Modal.Section>
+            <BlockStack gap="300">
+              <TextField
+                label="Label"
+                value={editing.label}
+                onChange={set("label")}
+                autoComplete="off"
+                placeholder="Partner offers"
+                helpText="Shown in the admin and on customer timelines."
+                error={errors.label}
+              />
+              <TextField
+                label="Key"
+                value={editing.key}
+                onChange={set("key")}
+                autoComplete="off"
+                placeholder="partner-offers"
+                helpText="Stored on events and customers. Changing it later splits the history."
+                error={errors.key}
+              />
+              <TextField
+                label="Checkbox text"
+                value={editing.text}
+                onChange={set("text")}
+                autoComplete="off"
+                multiline={3}
+                helpText="Shown next to the checkbox at checkout. HTML is supported."
+                error={errors.text}
+              />
+              <BlockStack gap="100">
+                <Text as="p" variant="bodyMd">Ticked by default when the matrix mode is</Text>
+                <InlineStack gap="400">
+                  {DEFAULT_COLUMNS.map((c) => (
+                    <Checkbox key={c.field} label={c.label} checked={!!editing[c.field]} onChange={set(c.field)} />
+                  ))}
+                </InlineStack>
+              </BlockStack>
+              {hasKlaviyo ? (
+                <>
+                  {listError ? <Banner tone="warning">{listError}</Banner> : null}
+                  <Select
+                    label="Klaviyo list"
+                    options={[{ label: "— No list —", value: "" }, ...listOptions]}
+                    value={editing.klaviyoListId}
+                    onChange={set("klaviyoListId")}
+                    helpText="Buyers who agree are added to this list; withdrawing removes them. Their email consent is left alone."
+                  />
+                  <TextField
+                    label="Klaviyo profile property"
+                    value={editing.klaviyoProperty}
+                    onChange={set("klaviyoProperty")}
+                    autoComplete="off"
+                    placeholder="partner_offers_consent"
+                    helpText="Set to true / false on the profile."
+                    error={errors.klaviyoProperty}
+                  />
+                </>
+              ) : (
+                <Text as="p" tone="subdued">Connect Klaviyo to map this purpose to a list or profile property.</Text>
+              )}
+              <TextField
+                label="Position"
+                type="number"
+                value={editing.position}
+                onChange={set("position")}
+                autoComplete="off"
+                helpText="Lower numbers are shown first."
+              />
+              <Checkbox
+                label="Active"
+                checked={!!editing.active}
+                onChange={set("active")}
+                helpText="Hidden purposes are not shown at checkout; their history is kept."
+              />
+            </BlockStack>
+          </Modal.Section>
+        ) : null}
+      </Modal>
+    </Page>
+  );
+}
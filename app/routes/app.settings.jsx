@@ -20,8 +20,26 @@ import {
   InlineGrid,
   Divider,
   Banner,
+  Select,
 } from "@shopify/polaris";
 import { SaveBar } from "@shopify/app-bridge-react";
+import {
+  COUNTRY_SIGNALS,
+  DEFAULT_SIGNAL_ORDER,
+  SIGNAL_LABELS,
+  parseSignalOrder,
+} from "~/services/country-signals.server";
+import {
+  GEO_PROVIDERS,
+  DEFAULT_PROVIDER_ORDER,
+  parseProviderOrder,
+} from "~/services/geo-providers.server";
+import { COPY_LANGUAGES, DEFAULT_LOCALE, normLocale } from "~/services/consent-copy.server";
+
+const PROVIDER_IDS = Object.keys(GEO_PROVIDERS);
+const LANGUAGES = Object.keys(COPY_LANGUAGES);
+// Translatable fields edited here (the default-language ones sit in the sections above)
+const TRANSLATED_FIELDS = ["optInText", "optOutText", "smsOptInText", "smsOptOutText", "marketingInfo", "privacyUrl"];
 
 const SHOP_INFO_QUERY = `#graphql
   query ShopInfo {
@@ -41,6 +59,8 @@ function buildDefaults(meta) {
   return {
     optInText: `We would like to email you news, special offers and other promotional material that may be of interest to you. Tick the box to <b>opt in</b>.`,
     optOutText: `We would like to email you news, special offers and other promotional material that may be of interest to you. Tick the box to <b>opt out.</b>`,
+    smsOptInText: `We would like to send you offers and news by text message. Tick the box to <b>opt in</b>. Message and data rates may apply.`,
+    smsOptOutText: `We would like to send you offers and news by text message. Tick the box to <b>opt out.</b> Message and data rates may apply.`,
     marketingInfo: `<p>We, ${meta.name}, may send you direct marketing communications, product updates, and promotional offers if you do not opt out of receiving such communications by ticking the box provided at checkout.</p>
       <p>If you are purchasing from our European store or are located in the UK or EEA, the legal basis for this processing is our legitimate interests — namely, to grow an engaged customer base and drive repeat purchases. This applies only where you have completed a purchase with us and have not opted out of marketing. In line with applicable laws, these communications will relate to our own products or services.</p>
       <p>We do not use your personal data for third-party marketing unless we have your separate, explicit consent, or the laws in your country allow such processing.</p>
@@ -55,6 +75,12 @@ function buildDefaults(meta) {
   };
 }
 
+const FALLBACK_POLICY_OPTIONS = [
+  { label: "Strictest rule in my matrix", value: "STRICTEST" },
+  { label: "A specific country's rule", value: "COUNTRY" },
+  { label: "Always opt-in (double opt-in)", value: "OPT_IN" },
+];
+
 // Helper function for URL validation
 function isValidUrl(url) {
   if (!url) return false;
@@ -66,6 +92,59 @@ function isValidUrl(url) {
   }
 }
 
+// Countries in the shop's active matrix, for the fallback country picker
+async function matrixCountryOptions(shop) {
+  const { getMatrixRows } = await import("~/services/consent-matrix.server");
+  const { rows } = await getMatrixRows(shop);
+  const byCode = new Map();
+  for (const r of rows) {
+    if (!r.region_code && r.country_code) byCode.set(r.country_code, r.country || r.country_code);
+  }
+  return [...byCode]
+    .map(([value, name]) => ({ label: `${name} (${value})`, value }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+// One select per precedence slot; unused slots are ""
+function signalSlots(order, all = COUNTRY_SIGNALS) {
+  return all.map((_, i) => order[i] || "");
+}
+
+// Ordered, non-empty picks from `${prefix}0..n`; error text if unusable
+function readSlots(form, prefix, all, noun) {
+  const order = all.map((_, i) => String(form.get(`${prefix}${i}`) || ""));
+  const used = order.filter(Boolean);
+  let error = null;
+  if (!used.length) error = `Use at least one ${noun}.`;
+  else if (new Set(used).size !== used.length) error = `Each ${noun} can only be used once.`;
+  return { order, used, error };
+}
+
+// ConsentCopy rows → { fr: { optInText: "", … }, … } for every language we offer
+function copyValues(rows) {
+  const out = {};
+  for (const lang of LANGUAGES) {
+    const row = rows.find((r) => r.locale === lang);
+    out[lang] = Object.fromEntries(TRANSLATED_FIELDS.map((f) => [f, row?.[f] ?? ""]));
+  }
+  return out;
+}
+
+// Posted as one JSON field; unknown languages / fields dropped
+function readCopies(raw) {
+  let parsed = {};
+  try {
+    parsed = JSON.parse(String(raw || "{}")) || {};
+  } catch {
+    parsed = {};
+  }
+  const out = {};
+  for (const lang of LANGUAGES) {
+    out[lang] = Object.fromEntries(TRANSLATED_FIELDS.map((f) => [f, String(parsed[lang]?.[f] ?? "").trim()]));
+  }
+  return out;
+}
+
 /* ------------------------- LOADER ------------------------- */
 export async function loader({ request }) {
   const { admin, session } = await authenticate.admin(request);
@@ -97,18 +176,40 @@ export async function loader({ request }) {
   const defaults = buildDefaults(meta);
 
   const settings = await prisma.appSettings.findUnique({ where: { shop } });
+  const translations = await prisma.consentCopy.findMany({ where: { shop } });
 
   const initial = settings
     ? {
         ...defaults, // defaults present
         optInText: settings.optInText ?? defaults.optInText,
         optOutText: settings.optOutText ?? defaults.optOutText,
+        smsOptInText: settings.smsOptInText ?? defaults.smsOptInText,
+        smsOptOutText: settings.smsOptOutText ?? defaults.smsOptOutText,
         marketingInfo: settings.marketingInfo ?? defaults.marketingInfo,
         privacyUrl: settings.privacyUrl ?? defaults.privacyUrl,
+        defaultLocale: normLocale(settings.defaultLocale) || DEFAULT_LOCALE,
+        copies: copyValues(translations),
+        fallbackPolicy: settings.fallbackPolicy,
+        fallbackCountry: settings.fallbackCountry ?? "",
+        countrySignalOrder: signalSlots(parseSignalOrder(settings.countrySignalOrder)),
+        geoProviderOrder: signalSlots(parseProviderOrder(settings.geoProviderOrder), PROVIDER_IDS),
       }
-    : { ...defaults };
-
-  return json({ initial, meta });
+    : {
+        ...defaults,
+        defaultLocale: DEFAULT_LOCALE,
+        copies: copyValues(translations),
+        fallbackPolicy: "STRICTEST",
+        fallbackCountry: "",
+        countrySignalOrder: signalSlots(DEFAULT_SIGNAL_ORDER),
+        geoProviderOrder: signalSlots(DEFAULT_PROVIDER_ORDER, PROVIDER_IDS),
+      };
+
+  const countryOptions = await matrixCountryOptions(shop);
+  const signalOptions = COUNTRY_SIGNALS.map((value) => ({ label: SIGNAL_LABELS[value], value }));
+  const providerOptions = PROVIDER_IDS.map((value) => ({ label: GEO_PROVIDERS[value].label, value }));
+  const languageOptions = LANGUAGES.map((value) => ({ label: COPY_LANGUAGES[value], value }));
+
+  return json({ initial, meta, countryOptions, signalOptions, providerOptions, languageOptions });
 }
 
 /* ------------------------- ACTION (no redirect) ------------------------- */
@@ -117,39 +218,96 @@ export async function action({ request }) {
   const shop = session.shop;
 
   const form = await request.formData();
+  const signals = readSlots(form, "countrySignal", COUNTRY_SIGNALS, "country signal");
+  const providers = readSlots(form, "geoProvider", PROVIDER_IDS, "geolocation provider");
   const fields = {
     optInText: String(form.get("optInText") || "").trim(),
     optOutText: String(form.get("optOutText") || "").trim(),
+    smsOptInText: String(form.get("smsOptInText") || "").trim(),
+    smsOptOutText: String(form.get("smsOptOutText") || "").trim(),
     marketingInfo: String(form.get("marketingInfo") || "").trim(),
     privacyUrl: String(form.get("privacyUrl") || "").trim(),
+    defaultLocale: String(form.get("defaultLocale") || DEFAULT_LOCALE),
+    copies: readCopies(form.get("copies")),
+    fallbackPolicy: String(form.get("fallbackPolicy") || "STRICTEST"),
+    fallbackCountry: String(form.get("fallbackCountry") || "").trim().toUpperCase(),
+    countrySignalOrder: signals.order,
+    geoProviderOrder: providers.order,
   };
 
   // Validation
   const errors = {};
   if (!fields.optInText) errors.optInText = "Opt-in display text is required.";
   if (!fields.optOutText) errors.optOutText = "Opt-out display text is required.";
+  if (!fields.smsOptInText) errors.smsOptInText = "SMS opt-in display text is required.";
+  if (!fields.smsOptOutText) errors.smsOptOutText = "SMS opt-out display text is required.";
   if (!fields.marketingInfo) errors.marketingInfo = "Marketing information is required.";
   // Only validate URL if it's provided, otherwise assume it's blank/optional (though the default is "")
   if (fields.privacyUrl && !isValidUrl(fields.privacyUrl))
     errors.privacyUrl = "Privacy URL must be a valid http(s) link.";
+  if (!COPY_LANGUAGES[fields.defaultLocale]) errors.defaultLocale = "Choose a default language.";
+  const badUrlLangs = LANGUAGES.filter((l) => fields.copies[l].privacyUrl && !isValidUrl(fields.copies[l].privacyUrl));
+  if (badUrlLangs.length)
+    errors.copies = `Privacy URL must be a valid http(s) link (${badUrlLangs.map((l) => COPY_LANGUAGES[l]).join(", ")}).`;
+  if (!FALLBACK_POLICY_OPTIONS.some((o) => o.value === fields.fallbackPolicy))
+    errors.fallbackPolicy = "Choose a fallback policy.";
+  if (signals.error) errors.countrySignalOrder = signals.error;
+  if (providers.error) errors.geoProviderOrder = providers.error;
+  if (fields.fallbackPolicy === "COUNTRY") {
+    const countries = await matrixCountryOptions(shop);
+    if (!countries.some((c) => c.value === fields.fallbackCountry))
+      errors.fallbackCountry = "Choose a country from your consent matrix.";
+  }
 
   if (Object.keys(errors).length > 0) {
     return json({ ok: false, errors, fields }, { status: 400 });
   }
 
-  await prisma.appSettings.upsert({
-    where: { shop },
-    update: { ...fields },
-    create: { shop, ...fields },
-  });
+  // Only keep a fallback country when the policy uses it
+  const { copies, ...settingsFields } = fields;
+  const data = {
+    ...settingsFields,
+    fallbackCountry: fields.fallbackPolicy === "COUNTRY" ? fields.fallbackCountry : null,
+    countrySignalOrder: signals.used.join(","),
+    geoProviderOrder: providers.used.join(","),
+  };
+
+  // Languages with at least one translated field get a row; blank ones are removed.
+  // A translation in the default language is kept (unused) in case the default changes back
+  const filled = LANGUAGES.filter((l) => TRANSLATED_FIELDS.some((f) => copies[l][f]));
+  const copyData = (l) => Object.fromEntries(TRANSLATED_FIELDS.map((f) => [f, copies[l][f] || null]));
+
+  await prisma.$transaction([
+    prisma.appSettings.upsert({
+      where: { shop },
+      update: data,
+      create: { shop, ...data },
+    }),
+    prisma.consentCopy.deleteMany({ where: { shop, locale: { notIn: filled } } }),
+    ...filled.map((locale) =>
+      prisma.consentCopy.upsert({
+        where: { shop_locale: { shop, locale } },
+        update: copyData(locale),
+        create: { shop, locale, ...copyData(locale) },
+      })
+    ),
+  ]);
 
   // Return success along with the saved fields to update the client-side baseline
-  return json({ ok: true, saved: fields });
+  return json({
+    ok: true,
+    saved: {
+      ...fields,
+      fallbackCountry: data.fallbackCountry ?? "",
+      countrySignalOrder: signalSlots(signals.used),
+      geoProviderOrder: signalSlots(providers.used, PROVIDER_IDS),
+    },
+  });
 }
 
 /* ------------------------- ROUTE COMPONENT ------------------------- */
 export default function Route() {
-  const { initial } = useLoaderData();
+  const { initial, countryOptions, signalOptions, providerOptions, languageOptions } = useLoaderData();
   const actionData = useActionData();
   const navigation = useNavigation();
   const submit = useSubmit();
@@ -195,6 +353,24 @@ export default function Route() {
 
   // Form handlers
   const onChange = (k) => (val) => setValues((v) => ({ ...v, [k]: val }));
+  const onCopyChange = (lang, f) => (val) =>
+    setValues((v) => ({
+      ...v,
+      copies: { ...v.copies, [lang]: { ...v.copies?.[lang], [f]: val } },
+    }));
+  const onSlotChange = (k, i) => (val) =>
+    setValues((v) => ({
+      ...v,
+      [k]: (v[k] || []).map((s, j) => (j === i ? val : s)),
+    }));
+
+  // Which translation is being edited (never the default language)
+  const translationOptions = languageOptions.filter((o) => o.value !== values.defaultLocale);
+  const [editLocale, setEditLocale] = useState(translationOptions[0]?.value || "");
+  const shownLocale = translationOptions.some((o) => o.value === editLocale)
+    ? editLocale
+    : translationOptions[0]?.value || "";
+  const shownCopy = values.copies?.[shownLocale] || {};
 
   const handleSave = () => {
     const form = document.querySelector('form[data-save-bar]');
@@ -230,7 +406,7 @@ export default function Route() {
                 <BlockStack gap="400">
                   <Text as="h3" variant="headingMd">Display text</Text>
                   <Text as="p" variant="bodyMd">
-                    Configure the customer-facing text shown next to your consent controls.
+                    Configure the customer-facing text shown next to your consent controls, in your default language.
                   </Text>
                 </BlockStack>
               </Box>
@@ -254,6 +430,25 @@ export default function Route() {
                     multiline
                     error={actionData?.errors?.optOutText}
                   />
+                  <TextField
+                    name="smsOptInText"
+                    label="SMS opt-in display text"
+                    value={values.smsOptInText}
+                    onChange={onChange("smsOptInText")}
+                    autoComplete="off"
+                    multiline
+                    helpText="Shown next to the SMS checkbox, only to buyers who enter a phone number."
+                    error={actionData?.errors?.smsOptInText}
+                  />
+                  <TextField
+                    name="smsOptOutText"
+                    label="SMS opt-out display text"
+                    value={values.smsOptOutText}
+                    onChange={onChange("smsOptOutText")}
+                    autoComplete="off"
+                    multiline
+                    error={actionData?.errors?.smsOptOutText}
+                  />
                 </BlockStack>
               </Card>
             </InlineGrid>
@@ -293,6 +488,187 @@ export default function Route() {
                 </BlockStack>
               </Card>
             </InlineGrid>
+            <Divider />
+            {/* Translations section */}
+            <InlineGrid columns={{ xs: "1fr", md: "2fr 5fr" }} gap="400">
+              <Box as="section" paddingInlineStart={{ xs: 400, sm: 0 }} paddingInlineEnd={{ xs: 400, sm: 0 }}>
+                <BlockStack gap="400">
+                  <Text as="h3" variant="headingMd">Translations</Text>
+                  <Text as="p" variant="bodyMd">
+                    Buyers see the copy in their checkout language when you have translated it, otherwise in your
+                    default language. Blank fields use the default-language text.
+                  </Text>
+                </BlockStack>
+              </Box>
+              <Card roundedAbove="sm">
+                <BlockStack gap="400">
+                  {actionData?.errors?.copies ? <Banner tone="critical">{actionData.errors.copies}</Banner> : null}
+                  <input type="hidden" name="copies" value={JSON.stringify(values.copies || {})} />
+                  <Select
+                    name="defaultLocale"
+                    label="Default language"
+                    options={languageOptions}
+                    value={values.defaultLocale}
+                    onChange={onChange("defaultLocale")}
+                    helpText="The language of the display text and marketing information above."
+                    error={actionData?.errors?.defaultLocale}
+                  />
+                  <Divider />
+                  <Select
+                    label="Translation"
+                    options={translationOptions}
+                    value={shownLocale}
+                    onChange={setEditLocale}
+                  />
+                  <TextField
+                    label="Opt-in display text"
+                    value={shownCopy.optInText || ""}
+                    onChange={onCopyChange(shownLocale, "optInText")}
+                    placeholder={values.optInText}
+                    autoComplete="off"
+                    multiline
+                  />
+                  <TextField
+                    label="Opt-out display text"
+                    value={shownCopy.optOutText || ""}
+                    onChange={onCopyChange(shownLocale, "optOutText")}
+                    placeholder={values.optOutText}
+                    autoComplete="off"
+                    multiline
+                  />
+                  <TextField
+                    label="SMS opt-in display text"
+                    value={shownCopy.smsOptInText || ""}
+                    onChange={onCopyChange(shownLocale, "smsOptInText")}
+                    placeholder={values.smsOptInText}
+                    autoComplete="off"
+                    multiline
+                  />
+                  <TextField
+                    label="SMS opt-out display text"
+                    value={shownCopy.smsOptOutText || ""}
+                    onChange={onCopyChange(shownLocale, "smsOptOutText")}
+                    placeholder={values.smsOptOutText}
+                    autoComplete="off"
+                    multiline
+                  />
+                  <TextField
+                    label="Marketing information"
+                    value={shownCopy.marketingInfo || ""}
+                    onChange={onCopyChange(shownLocale, "marketingInfo")}
+                    autoComplete="off"
+                    multiline={6}
+                    helpText="HTML is supported."
+                  />
+                  <TextField
+                    type="url"
+                    label="Privacy URL"
+                    value={shownCopy.privacyUrl || ""}
+                    onChange={onCopyChange(shownLocale, "privacyUrl")}
+                    placeholder={values.privacyUrl || "https://example.com/fr/privacy"}
+                    autoComplete="off"
+                  />
+                </BlockStack>
+              </Card>
+            </InlineGrid>
+            <Divider />
+            {/* Country detection section */}
+            <InlineGrid columns={{ xs: "1fr", md: "2fr 5fr" }} gap="400">
+              <Box as="section" paddingInlineStart={{ xs: 400, sm: 0 }} paddingInlineEnd={{ xs: 400, sm: 0 }}>
+                <BlockStack gap="400">
+                  <Text as="h3" variant="headingMd">Country detection</Text>
+                  <Text as="p" variant="bodyMd">
+                    The first signal with a country wins. It decides the checkout widget, the customer's stored
+                    country and the Klaviyo list. Every signal is kept on the session for audit.
+                  </Text>
+                </BlockStack>
+              </Box>
+              <Card roundedAbove="sm">
+                <BlockStack gap="300">
+                  {actionData?.errors?.countrySignalOrder ? (
+                    <Banner tone="critical">{actionData.errors.countrySignalOrder}</Banner>
+                  ) : null}
+                  {(values.countrySignalOrder || []).map((signal, i) => (
+                    <Select
+                      key={i}
+                      name={`countrySignal${i}`}
+                      label={`${i + 1}.`}
+                      labelInline
+                      options={[{ label: "Not used", value: "" }, ...signalOptions]}
+                      value={signal}
+                      onChange={onSlotChange("countrySignalOrder", i)}
+                    />
+                  ))}
+                </BlockStack>
+              </Card>
+            </InlineGrid>
+            <Divider />
+            {/* Geolocation providers section */}
+            <InlineGrid columns={{ xs: "1fr", md: "2fr 5fr" }} gap="400">
+              <Box as="section" paddingInlineStart={{ xs: 400, sm: 0 }} paddingInlineEnd={{ xs: 400, sm: 0 }}>
+                <BlockStack gap="400">
+                  <Text as="h3" variant="headingMd">Geolocation providers</Text>
+                  <Text as="p" variant="bodyMd">
+                    How the IP geolocation signal is worked out. Providers are tried in order; the first one that
+                    locates the buyer wins. Edge headers are only used when your hosting sets them.
+                  </Text>
+                </BlockStack>
+              </Box>
+              <Card roundedAbove="sm">
+                <BlockStack gap="300">
+                  {actionData?.errors?.geoProviderOrder ? (
+                    <Banner tone="critical">{actionData.errors.geoProviderOrder}</Banner>
+                  ) : null}
+                  {(values.geoProviderOrder || []).map((provider, i) => (
+                    <Select
+                      key={i}
+                      name={`geoProvider${i}`}
+                      label={`${i + 1}.`}
+                      labelInline
+                      options={[{ label: "Not used", value: "" }, ...providerOptions]}
+                      value={provider}
+                      onChange={onSlotChange("geoProviderOrder", i)}
+                    />
+                  ))}
+                </BlockStack>
+              </Card>
+            </InlineGrid>
+            <Divider />
+            {/* Unknown jurisdiction section */}
+            <InlineGrid columns={{ xs: "1fr", md: "2fr 5fr" }} gap="400">
+              <Box as="section" paddingInlineStart={{ xs: 400, sm: 0 }} paddingInlineEnd={{ xs: 400, sm: 0 }}>
+                <BlockStack gap="400">
+                  <Text as="h3" variant="headingMd">Unknown jurisdiction</Text>
+                  <Text as="p" variant="bodyMd">
+                    Which rule applies when we can't work out where the buyer is. Checkouts decided this way
+                    are flagged so you can report on them.
+                  </Text>
+                </BlockStack>
+              </Box>
+              <Card roundedAbove="sm">
+                <BlockStack gap="400">
+                  <Select
+                    name="fallbackPolicy"
+                    label="Fallback policy"
+                    options={FALLBACK_POLICY_OPTIONS}
+                    value={values.fallbackPolicy}
+                    onChange={onChange("fallbackPolicy")}
+                    helpText="The strictest rule is the most protective widget and email method in your consent matrix."
+                    error={actionData?.errors?.fallbackPolicy}
+                  />
+                  {values.fallbackPolicy === "COUNTRY" ? (
+                    <Select
+                      name="fallbackCountry"
+                      label="Fallback country"
+                      options={[{ label: "Choose a country", value: "" }, ...countryOptions]}
+                      value={values.fallbackCountry}
+                      onChange={onChange("fallbackCountry")}
+                      error={actionData?.errors?.fallbackCountry}
+                    />
+                  ) : null}
+                </BlockStack>
+              </Card>
+            </InlineGrid>
           </BlockStack>
         </Form>
       </Box>
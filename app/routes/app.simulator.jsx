@@ -0,0 +1,300 @@
+// app/routes/app.simulator.jsx
+import { json } from "@remix-run/node";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import { authenticate } from "~/shopify.server";
+import {
+  Page, Layout, Card, BlockStack, InlineStack, Text, Badge, Select, TextField,
+  Checkbox, Button, Banner, DescriptionList, Box,
+} from "@shopify/polaris";
+import { useState } from "react";
+
+const CUSTOMER_TYPE_OPTIONS = [
+  { label: "First-time (single)", value: "single" },
+  { label: "Repeat", value: "repeat" },
+];
+const PRIOR_STATE_OPTIONS = [
+  { label: "Unknown / new customer", value: "" },
+  { label: "Subscribed", value: "SUBSCRIBED" },
+  { label: "Not subscribed", value: "NOT_SUBSCRIBED" },
+  { label: "Unsubscribed", value: "UNSUBSCRIBED" },
+];
+const MODE_LABELS = {
+  OPT_IN: "Opt-in checkbox",
+  OPT_OUT: "Opt-out checkbox",
+  NO_CHECKBOX: "No checkbox",
+};
+
+function stripTags(html = "") {
+  return html
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/* ------------------------------ loader ------------------------------ */
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const { getMatrixRows } = await import("~/services/consent-matrix.server");
+
+  const { rows, version } = await getMatrixRows(session.shop);
+  const byCode = new Map();
+  for (const r of rows) {
+    if (!r.region_code && r.country_code) byCode.set(r.country_code, r.country || r.country_code);
+  }
+  const countries = [...byCode]
+    .map(([value, name]) => ({ label: `${name} (${value})`, value }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  return json({ countries, version });
+}
+
+/* ------------------------------ action ------------------------------ */
+
+// Runs the checkout + Klaviyo decisions for a hypothetical buyer. Read-only:
+// nothing is written to the DB, Shopify or Klaviyo.
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const form = await request.formData();
+
+  const countryCode = String(form.get("countryCode") || "").trim().toUpperCase() || null;
+  const region = String(form.get("region") || "").trim().toUpperCase() || null;
+  const customerType = String(form.get("customerType") || "single");
+  const priorState = String(form.get("priorState") || "") || null;
+  const locale = String(form.get("locale") || "").trim() || null;
+  const subscribed = form.get("subscribed") === "on";
+
+  const { presentConsent } = await import("~/services/consent-presentation.server");
+  const { explainTrace } = await import("~/services/consent-decision.server");
+  const { planKlaviyoSync } = await import("~/services/sync-to-klaviyo.server");
+  const { getActiveMatrixVersion } = await import("~/services/consent-matrix.server");
+  const { loadPurposes, presentPurposes } = await import("~/services/consent-purposes.server");
+
+  try {
+    const at = new Date();
+    const presentation = await presentConsent({ shop, countryCode, region, customerType, priorState, locale, at });
+    const klaviyo = await planKlaviyoSync({
+      shop,
+      subscribed,
+      countryCode,
+      regionCode: region,
+      customerType,
+    });
+    const version = await getActiveMatrixVersion(shop, at);
+    const purposes = presentPurposes(await loadPurposes(shop), presentation.mode);
+
+    return json({
+      ok: true,
+      result: {
+        mode: presentation.mode,
+        displayText: presentation.displayText,
+        smsMode: presentation.smsMode,
+        smsMethod: presentation.smsMethod,
+        smsDisplayText: presentation.smsDisplayText,
+        purposes: purposes.map(({ key, label, default: ticked }) => ({ key, label, ticked })),
+        locale: presentation.locale,
+        requestedLocale: presentation.requestedLocale,
+        version: { id: version.id, label: version.label },
+        decisionLines: explainTrace(presentation.trace),
+        klaviyo: {
+          subscribed,
+          skip: klaviyo.skip,
+          method: klaviyo.method,
+          optInLevel: klaviyo.optInLevel,
+          targetList: klaviyo.targetList,
+          targetListId: klaviyo.targetListId,
+        },
+      },
+    });
+  } catch (e) {
+    return json({ ok: false, error: e?.message || "Simulation failed" }, { status: 500 });
+  }
+}
+
+/* ------------------------------ UI ------------------------------ */
+
+function klaviyoSummary(k) {
+  if (k.skip === "no klaviyo key") return "Klaviyo is not connected — nothing would be synced.";
+  if (!k.subscribed) return "Customer would be removed from all configured lists.";
+  if (k.skip === "no list configured") return "No Klaviyo list configured — nothing would be synced.";
+  if (k.skip === "no consent decision") return "No consent rule could be resolved — nothing would be synced.";
+  return null;
+}
+
+export default function Simulator() {
+  const { countries, version } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const busy = navigation.state !== "idle";
+
+  const [values, setValues] = useState({
+    countryCode: "GB",
+    region: "",
+    customerType: "single",
+    priorState: "",
+    locale: "en",
+    subscribed: true,
+  });
+  const onChange = (k) => (val) => setValues((v) => ({ ...v, [k]: val }));
+
+  const result = actionData?.ok ? actionData.result : null;
+  const klaviyoNote = result ? klaviyoSummary(result.klaviyo) : null;
+
+  return (
+    <Page title="Consent simulator" subtitle="See what a buyer would get at checkout and in Klaviyo">
+      <Layout>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <Form method="post">
+              <BlockStack gap="400">
+                <Select
+                  label="Country"
+                  name="countryCode"
+                  options={[{ label: "Unknown (fallback)", value: "" }, ...countries]}
+                  value={values.countryCode}
+                  onChange={onChange("countryCode")}
+                />
+                <TextField
+                  label="Region"
+                  name="region"
+                  value={values.region}
+                  onChange={onChange("region")}
+                  placeholder="e.g. US-CA"
+                  helpText="Optional ISO 3166-2 subdivision."
+                  autoComplete="off"
+                />
+                <Select
+                  label="Customer type"
+                  name="customerType"
+                  options={CUSTOMER_TYPE_OPTIONS}
+                  value={values.customerType}
+                  onChange={onChange("customerType")}
+                />
+                <Select
+                  label="Prior marketing state"
+                  name="priorState"
+                  options={PRIOR_STATE_OPTIONS}
+                  value={values.priorState}
+                  onChange={onChange("priorState")}
+                />
+                <TextField
+                  label="Buyer locale"
+                  name="locale"
+                  value={values.locale}
+                  onChange={onChange("locale")}
+                  placeholder="e.g. de-DE"
+                  autoComplete="off"
+                />
+                <Checkbox
+                  label="Customer subscribes at checkout"
+                  name="subscribed"
+                  checked={values.subscribed}
+                  onChange={onChange("subscribed")}
+                />
+                <Button submit variant="primary" loading={busy}>Run simulation</Button>
+              </BlockStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Banner tone="info">
+              <p>
+                Simulations use the live rules for your shop (matrix version "{version.label}" plus overrides)
+                and never write anything to your store, this app or Klaviyo.
+              </p>
+            </Banner>
+
+            {actionData?.error ? <Banner tone="critical" title={actionData.error} /> : null}
+
+            {result ? (
+              <>
+                <Card>
+                  <BlockStack gap="300">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text as="h2" variant="headingMd">Checkout widget</Text>
+                      <Badge tone={result.mode === "OPT_IN" ? "attention" : result.mode === "OPT_OUT" ? "success" : undefined}>
+                        {MODE_LABELS[result.mode] || result.mode}
+                      </Badge>
+                    </InlineStack>
+                    <DescriptionList
+                      items={[
+                        { term: "Matrix version", description: result.version.label },
+                        {
+                          term: "Copy language",
+                          description:
+                            result.requestedLocale && !result.requestedLocale.toLowerCase().startsWith(result.locale)
+                              ? `${result.locale} (no ${result.requestedLocale} translation)`
+                              : result.locale,
+                        },
+                        {
+                          term: "Display text",
+                          description: (
+                            <Text as="p" breakWord>{stripTags(result.displayText) || "— (nothing shown)"}</Text>
+                          ),
+                        },
+                        {
+                          term: "Purposes",
+                          description: !result.purposes.length
+                            ? "— (none defined)"
+                            : result.mode === "NO_CHECKBOX"
+                            ? `Not shown; applied: ${result.purposes.filter((p) => p.ticked).map((p) => p.label).join(", ") || "none"}`
+                            : result.purposes.map((p) => `${p.label} (${p.ticked ? "ticked" : "unticked"})`).join(", "),
+                        },
+                        {
+                          term: "SMS checkbox",
+                          description: `${MODE_LABELS[result.smsMode] || result.smsMode} / ${result.smsMethod} (buyers with a phone number)`,
+                        },
+                        {
+                          term: "SMS display text",
+                          description: (
+                            <Text as="p" breakWord>{stripTags(result.smsDisplayText) || "— (nothing shown)"}</Text>
+                          ),
+                        },
+                      ]}
+                    />
+                  </BlockStack>
+                </Card>
+
+                <Card>
+                  <BlockStack gap="300">
+                    <Text as="h2" variant="headingMd">Klaviyo</Text>
+                    {klaviyoNote ? (
+                      <Text as="p" tone="subdued">{klaviyoNote}</Text>
+                    ) : (
+                      <DescriptionList
+                        items={[
+                          {
+                            term: "Target list",
+                            description: `${result.klaviyo.targetList === "double" ? "Double opt-in list" : "Single opt-in list"} (${result.klaviyo.targetListId})`,
+                          },
+                          { term: "Email method", description: result.klaviyo.method || "— (falls back to widget mode)" },
+                          { term: "Opt-in level", description: result.klaviyo.optInLevel },
+                        ]}
+                      />
+                    )}
+                  </BlockStack>
+                </Card>
+
+                <Card>
+                  <BlockStack gap="200">
+                    <Text as="h2" variant="headingMd">Why</Text>
+                    <Box>
+                      {result.decisionLines.map((line, i) => (
+                        <Text as="p" key={i}>{line}</Text>
+                      ))}
+                    </Box>
+                  </BlockStack>
+                </Card>
+              </>
+            ) : null}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
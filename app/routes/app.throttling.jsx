@@ -0,0 +1,176 @@
+// app/routes/app.throttling.jsx
+import { json } from "@remix-run/node";
+import { useLoaderData, useNavigate, useSearchParams } from "@remix-run/react";
+import { authenticate } from "~/shopify.server";
+import { prisma } from "~/db.server";
+import {
+  Page, Card, Box, BlockStack, InlineStack, Text, Badge, IndexTable, Select, Banner, EmptyState,
+} from "@shopify/polaris";
+
+const RANGE_OPTIONS = [
+  { label: "Last 24 hours", value: "1" },
+  { label: "Last 7 days", value: "7" },
+  { label: "Last 30 days", value: "30" },
+];
+
+const ENDPOINT_LABELS = { privacy: "Widget settings", event: "Widget events" };
+const SCOPE_LABELS = { shop: "Whole shop", checkout: "One checkout", session: "Event cap" };
+
+const fmt = (d) => (d ? new Date(d).toLocaleString() : "—");
+// Checkout tokens are long: enough to tell them apart
+const short = (s) => (s && s.length > 16 ? `${s.slice(0, 8)}…${s.slice(-6)}` : s || "—");
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const url = new URL(request.url);
+  const days = RANGE_OPTIONS.some((o) => o.value === url.searchParams.get("days"))
+    ? Number(url.searchParams.get("days"))
+    : 7;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const { LIMITS, MAX_EVENTS_PER_SESSION } = await import("~/services/rate-limit.server");
+  const where = { shop, createdAt: { gte: since } };
+  const [recent, byScope, topSubjects] = await Promise.all([
+    prisma.throttledRequest.findMany({ where, orderBy: { createdAt: "desc" }, take: 100 }),
+    prisma.throttledRequest.groupBy({ by: ["endpoint", "scope"], where, _count: { _all: true } }),
+    // The same checkout throttled again and again is a widget stuck in a loop (or a script)
+    prisma.throttledRequest.groupBy({
+      by: ["subject"],
+      where: { ...where, subject: { not: null } },
+      _count: { _all: true },
+      _max: { createdAt: true },
+      orderBy: { _count: { subject: "desc" } },
+      take: 10,
+    }),
+  ]);
+
+  return json({
+    days: String(days),
+    recent,
+    byScope: byScope.map((r) => ({ endpoint: r.endpoint, scope: r.scope, count: r._count._all })),
+    topSubjects: topSubjects
+      .filter((r) => r._count._all > 1)
+      .map((r) => ({ subject: r.subject, count: r._count._all, last: r._max.createdAt })),
+    limits: LIMITS,
+    maxEvents: MAX_EVENTS_PER_SESSION,
+  });
+}
+
+export default function ThrottlingPage() {
+  const { days, recent, byScope, topSubjects, limits, maxEvents } = useLoaderData();
+  const [params] = useSearchParams();
+  const navigate = useNavigate();
+
+  const setDays = (value) => {
+    const next = new URLSearchParams(params);
+    next.set("days", value);
+    navigate(`?${next.toString()}`);
+  };
+
+  return (
+    <Page title="Rate limits" subtitle="Requests from checkout widgets that went over their limits">
+      <Box paddingBlockEnd={800}>
+        <BlockStack gap="400">
+          <Banner tone="info">
+            Limits per minute: widget settings {limits.privacy.shop} for the shop and {limits.privacy.checkout} per
+            checkout; widget events {limits.event.shop} for the shop and {limits.event.checkout} per checkout; at
+            most {maxEvents} events per checkout overall. Each row is the first request refused in a window, not every
+            refused request.
+          </Banner>
+
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text as="h2" variant="headingMd">Summary</Text>
+                <div style={{ minWidth: 180 }}>
+                  <Select label="Range" labelHidden options={RANGE_OPTIONS} value={days} onChange={setDays} />
+                </div>
+              </InlineStack>
+              {byScope.length === 0 ? (
+                <Text as="p" tone="subdued">Nothing throttled in this range.</Text>
+              ) : (
+                <InlineStack gap="300">
+                  {byScope.map((r) => (
+                    <Badge key={`${r.endpoint}:${r.scope}`} tone={r.scope === "shop" ? "critical" : "attention"}>
+                      {`${ENDPOINT_LABELS[r.endpoint] || r.endpoint} · ${SCOPE_LABELS[r.scope] || r.scope}: ${r.count}`}
+                    </Badge>
+                  ))}
+                </InlineStack>
+              )}
+              {byScope.some((r) => r.scope === "shop") ? (
+                <Banner tone="warning">
+                  The shop-wide limit was reached: real buyers may have gone without the consent widget. Check the
+                  checkouts below and your traffic at those times.
+                </Banner>
+              ) : null}
+            </BlockStack>
+          </Card>
+
+          {topSubjects.length ? (
+            <Card padding="0">
+              <Box padding="400">
+                <Text as="h2" variant="headingMd">Repeat offenders</Text>
+              </Box>
+              <IndexTable
+                resourceName={{ singular: "checkout", plural: "checkouts" }}
+                itemCount={topSubjects.length}
+                selectable={false}
+                headings={[{ title: "Checkout / session" }, { title: "Times throttled" }, { title: "Last" }]}
+              >
+                {topSubjects.map((r, index) => (
+                  <IndexTable.Row id={r.subject} key={r.subject} position={index}>
+                    <IndexTable.Cell>{short(r.subject)}</IndexTable.Cell>
+                    <IndexTable.Cell>{r.count}</IndexTable.Cell>
+                    <IndexTable.Cell>{fmt(r.last)}</IndexTable.Cell>
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+            </Card>
+          ) : null}
+
+          <Card padding="0">
+            {recent.length === 0 ? (
+              <EmptyState
+                heading="No throttled requests"
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>Every widget request in this range was within its limits.</p>
+              </EmptyState>
+            ) : (
+              <IndexTable
+                resourceName={{ singular: "request", plural: "requests" }}
+                itemCount={recent.length}
+                selectable={false}
+                headings={[
+                  { title: "When" },
+                  { title: "Endpoint" },
+                  { title: "Limit" },
+                  { title: "Checkout / session" },
+                  { title: "IP" },
+                  { title: "Blocked until" },
+                ]}
+              >
+                {recent.map((r, index) => (
+                  <IndexTable.Row id={r.id} key={r.id} position={index}>
+                    <IndexTable.Cell>{fmt(r.createdAt)}</IndexTable.Cell>
+                    <IndexTable.Cell>{ENDPOINT_LABELS[r.endpoint] || r.endpoint}</IndexTable.Cell>
+                    <IndexTable.Cell>
+                      <InlineStack gap="100">
+                        <Badge tone={r.scope === "shop" ? "critical" : "attention"}>{SCOPE_LABELS[r.scope] || r.scope}</Badge>
+                        <Text as="span">{r.limit}</Text>
+                      </InlineStack>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>{short(r.subject)}</IndexTable.Cell>
+                    <IndexTable.Cell>{r.ip || "—"}</IndexTable.Cell>
+                    <IndexTable.Cell>{r.scope === "session" ? "Permanent" : fmt(r.windowEndsAt)}</IndexTable.Cell>
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+            )}
+          </Card>
+        </BlockStack>
+      </Box>
+    </Page>
+  );
+}
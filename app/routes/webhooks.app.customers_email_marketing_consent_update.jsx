@@ -1,7 +1,7 @@
 // app/routes/webhooks.customers_email_marketing_consent_update.js
 import { authenticate } from "~/shopify.server";
 import { prisma } from "~/db.server";
-import { syncKlaviyoForCustomer } from "~/services/sync-to-klaviyo.server";
+import { applyConsentChange } from "~/services/consent-change.server";
 
 // --- small debug helper (enable with DEBUG_CONSENT_WEBHOOK=1)
 const DBG = process.env.DEBUG_CONSENT_WEBHOOK === "1";
@@ -76,24 +76,18 @@ export const action = async ({ request }) => {
     }
   }
 
-  // --- upsert the Customer with latest consent (tri-state)
+  // --- make sure we have the Customer (the change itself is applied below)
   let customerId;
   if (existing) {
     dbg("update customer", existing.id);
-    const updated = await prisma.customer.update({
+    await prisma.customer.update({
       where: { id: existing.id },
       data: {
         email: email || undefined,
         shopifyCustomerId: shopifyId || undefined,
-        lastState: state,
-        lastConsentAt: consentAt,
-        // Clear any lingering fence since this is a real change we’re honoring
-        suppressConsentWebhookUntil: null,
-        suppressConsentState: null,
       },
-      select: { id: true },
     });
-    customerId = updated.id;
+    customerId = existing.id;
   } else {
     dbg("create customer");
     const created = await prisma.customer.create({
@@ -101,49 +95,29 @@ export const action = async ({ request }) => {
         shop,
         shopifyCustomerId: shopifyId,
         email,
-        lastState: state,
-        lastConsentAt: consentAt,
       },
       select: { id: true },
     });
     customerId = created.id;
   }
 
-  // --- record an audit event with the tri-state
-  await prisma.consentEvent.create({
-    data: {
-      customerId,
-      type: "shopify_subscription_update",
-      state, // ✅ tri-state enum on events
-      note: JSON.stringify({
-        source: "Shopify",
-        raw: {
-          state: consent?.state ?? null,
-          opt_in_level: optInLevel,
-          consent_updated_at: consent?.consent_updated_at ?? null,
-        },
-      }),
+  // --- store the tri-state, record the audit event, sync Klaviyo (Shopify already has it)
+  await applyConsentChange({
+    shop,
+    customerId,
+    state,
+    type: "shopify_subscription_update",
+    consentAt,
+    updateShopify: false,
+    note: {
+      source: "Shopify",
+      raw: {
+        state: consent?.state ?? null,
+        opt_in_level: optInLevel,
+        consent_updated_at: consent?.consent_updated_at ?? null,
+      },
     },
   });
 
-  // --- sync to Klaviyo (idempotent). Only if we have an email.
-  if (email) {
-    try {
-      await syncKlaviyoForCustomer({
-        shop,
-        email,
-        subscribed: state === "SUBSCRIBED",
-        sessionMode: undefined,
-        countryCode: undefined,
-        customerType: undefined,
-      });
-    } catch (e) {
-      // do not fail the webhook
-      console.warn("[consent_webhook] klaviyo sync failed:", e?.message || e);
-    }
-  } else {
-    dbg("skip Klaviyo sync: no email on payload/customer");
-  }
-
   return new Response();
 };
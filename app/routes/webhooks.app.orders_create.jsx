@@ -2,7 +2,17 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "~/shopify.server";
 import { prisma } from "~/db.server";
-import { syncKlaviyoForCustomer } from "~/services/sync-to-klaviyo.server";
+import {
+  syncKlaviyoForCustomer,
+  syncKlaviyoSmsForCustomer,
+  syncKlaviyoPurposes,
+} from "~/services/sync-to-klaviyo.server";
+import { parsePurposeAttribute, resolvePurposeStates } from "~/services/consent-purposes.server";
+import {
+  EMAIL_CONSENT_MUTATION as EMAIL_MUT,
+  SMS_CONSENT_MUTATION as SMS_MUT,
+} from "~/services/consent-change.server";
+import { resolveOrderCustomerType } from "~/services/customer-type.server";
 
 // --- small debug helper
 const DBG = process.env.DEBUG_ORDERS_WEBHOOK === "1";
@@ -15,44 +25,6 @@ function toStateFromSubscribe(subscribe) {
   return "NOT_SUBSCRIBED";
 }
 
-// Resolve customer's order count and type (single/repeat)
-async function resolveCustomerType(admin, payload) {
-  // 1) If webhook payload has orders_count, trust it
-  if (typeof payload?.customer?.orders_count === "number") {
-    const count = payload.customer.orders_count;
-    // NOTE: In orders/create, this count includes the order that just got created.
-    return { count, type: count > 1 ? "repeat" : "single" };
-  }
-
-  // 2) Try Admin GraphQL for canonical numberOfOrders
-  const numericId = payload?.customer?.id ? String(payload.customer.id) : null;
-  if (numericId) {
-    try {
-      const customerGid = `gid://shopify/Customer/${numericId}`;
-      const Q = `#graphql
-        query($id: ID!) {
-          customer(id: $id) {
-            numberOfOrders
-          }
-        }
-      `;
-      const resp = await admin.graphql(Q, { variables: { id: customerGid } });
-      const json = await resp.json();
-      const raw = json?.data?.customer?.numberOfOrders;
-      const n = raw == null ? null : Number(raw);
-      if (typeof n === "number") {
-        return { count: n, type: n > 1 ? "repeat" : "single" };
-      }
-    } catch (e) {
-      console.warn("[orders] numberOfOrders fetch failed:", e?.message || e);
-    }
-  }
-
-  // 3) Unknown: guest checkout or lookup failed
-  dbg("numberOfOrders_by_admin - unknown");
-  return { count: null, type: null };
-}
-
 async function setConsentWebhookSuppression(customerId, state, minutes = 5) {
   const until = new Date(Date.now() + minutes * 60 * 1000);
   await prisma.customer.update({
@@ -74,22 +46,6 @@ async function clearConsentWebhookSuppression(customerId) {
   });
 }
 
-const EMAIL_MUT = `#graphql
-mutation customerEmailMarketingConsentUpdate($input: CustomerEmailMarketingConsentUpdateInput!) {
-  customerEmailMarketingConsentUpdate(input: $input) {
-    userErrors { field message }
-    customer {
-      id
-      email
-      emailMarketingConsent {
-        marketingState
-        marketingOptInLevel
-        consentUpdatedAt
-      }
-    }
-  }
-}`;
-
 const CUSTOMER_UPDATE = `#graphql
 mutation customerUpdate($input: CustomerInput!) {
   customerUpdate(input: $input) {
@@ -112,29 +68,124 @@ export async function action({ request }) {
     ? await prisma.consentSession.findUnique({ where: { id: sessionId } })
     : null;
 
-  const latestToggle = sessionId
+  // Only toggles made under the mode shown at submit time count: a mode change
+  // resets the checkbox in the widget
+  const lastModeChange = sessionId
     ? await prisma.consentEvent.findFirst({
-        where: { sessionId, type: "shopify_checkout_toggle" },
+        where: { sessionId, type: "mode_changed" },
         orderBy: { createdAt: "desc" },
-        select: { state: true }
+        select: { createdAt: true },
       })
     : null;
 
-  // Decide final subscribe boolean (keep boolean for internal logic)
-  let subscribe;
-  if (latestToggle?.state) {
-    // Treat NOT_SUBSCRIBED as false (i.e., not subscribed)
-    subscribe = latestToggle.state === "SUBSCRIBED";
-  } else if (session) {
-    if (session.mode === "OPT_OUT" || session.mode === "NO_CHECKBOX") subscribe = true;
-    else if (session.mode === "OPT_IN") subscribe = false;
-    else subscribe = undefined;
-  } else {
-    subscribe = undefined; // no session evidence; do not guess
-  }
+  // Decide final subscribe boolean per channel (keep boolean for internal logic).
+  // Evidence: toggle event → mirrored attribute (event lost) → mode default
+  const resolveChannel = async ({ channel, mode, attribute }) => {
+    const latestToggle = sessionId
+      ? await prisma.consentEvent.findFirst({
+          where: {
+            sessionId,
+            // A change on the thank-you page that beat this webhook counts as the latest toggle
+            type: { in: ["shopify_checkout_toggle", "post_checkout_change"] },
+            channel,
+            ...(lastModeChange ? { createdAt: { gt: lastModeChange.createdAt } } : {}),
+          },
+          orderBy: { createdAt: "desc" },
+          select: { state: true, type: true }
+        })
+      : null;
+
+    // Choice the widget mirrored onto the order ("OPT_OUT:UNSUBSCRIBED"). Only
+    // trusted when it was made under the mode the session ended on
+    const [attrMode, attrState] = String(getAttr(attribute) || "").split(":");
+    const attributeState =
+      mode && attrMode === mode && ["SUBSCRIBED", "UNSUBSCRIBED", "NOT_SUBSCRIBED"].includes(attrState)
+        ? attrState
+        : null;
+
+    if (latestToggle?.state) {
+      if (attributeState && attributeState !== latestToggle.state) {
+        dbg(`toggle event and ${attribute} attribute disagree`, { sessionId, event: latestToggle.state, attributeState });
+      }
+      // Treat NOT_SUBSCRIBED as false (i.e., not subscribed)
+      return {
+        subscribe: latestToggle.state === "SUBSCRIBED",
+        evidence: latestToggle.type === "post_checkout_change" ? "post_checkout_change" : "toggle_event",
+      };
+    }
+    if (attributeState) return { subscribe: attributeState === "SUBSCRIBED", evidence: "checkout_attribute" };
+    if (mode) {
+      if (mode === "OPT_OUT" || mode === "NO_CHECKBOX") return { subscribe: true, evidence: "mode_default" };
+      if (mode === "OPT_IN") return { subscribe: false, evidence: "mode_default" };
+      return { subscribe: undefined, evidence: "mode_default" };
+    }
+    return { subscribe: undefined, evidence: null }; // no session evidence; do not guess
+  };
 
+  const { subscribe, evidence } = await resolveChannel({
+    channel: "email",
+    mode: session?.mode,
+    attribute: "consent_state",
+  });
   const resolvedState = toStateFromSubscribe(subscribe);
-  dbg("resolved", { sessionId, subscribe, resolvedState });
+  dbg("resolved", { sessionId, subscribe, resolvedState, evidence });
+
+  const firstPhone = (list) => list.map((p) => String(p || "").trim()).find(Boolean) || null;
+  // The number the widget saw (buyer identity / shipping address). Customer and
+  // billing phones are kept on the record but never had an SMS box next to them
+  const smsPhone = firstPhone([payload.phone, payload.shipping_address?.phone]);
+  const phone = smsPhone || firstPhone([payload.customer?.phone, payload.billing_address?.phone]);
+
+  // SMS is only resolved when the box was on screen: an impression under the
+  // session's SMS mode with a checkbox (NO_CHECKBOX shows nothing for SMS), or
+  // the buyer's own SMS choice. Otherwise SMS consent is left untouched
+  const smsBoxShown = async () => {
+    if (!sessionId || !["OPT_IN", "OPT_OUT"].includes(session?.smsMode)) return false;
+    if (getAttr("consent_sms_state")) return true;
+    const since = lastModeChange ? { createdAt: { gt: lastModeChange.createdAt } } : {};
+    const toggled = await prisma.consentEvent.findFirst({
+      where: { sessionId, type: "shopify_checkout_toggle", channel: "sms", ...since },
+      select: { id: true },
+    });
+    if (toggled) return true;
+    const impressions = await prisma.consentEvent.findMany({
+      where: { sessionId, type: "widget_rendered", ...since },
+      select: { note: true },
+    });
+    return impressions.some((ev) => {
+      try {
+        return JSON.parse(ev.note || "{}").smsMode === session.smsMode;
+      } catch {
+        return false;
+      }
+    });
+  };
+  const sms = smsPhone && (await smsBoxShown())
+    ? await resolveChannel({ channel: "sms", mode: session.smsMode, attribute: "consent_sms_state" })
+    : { subscribe: undefined, evidence: null };
+  const resolvedSmsState = toStateFromSubscribe(sms.subscribe);
+  dbg("resolved sms", { sessionId, hasSmsPhone: !!smsPhone, subscribe: sms.subscribe, evidence: sms.evidence });
+
+  // Consent purposes shown at checkout, each resolved on its own evidence
+  const shownPurposes = Array.isArray(session?.purposes) ? session.purposes : [];
+  const purposeToggles = shownPurposes.length
+    ? await prisma.consentEvent.findMany({
+        where: {
+          sessionId,
+          type: "purpose_toggle",
+          ...(lastModeChange ? { createdAt: { gt: lastModeChange.createdAt } } : {}),
+        },
+        orderBy: { createdAt: "desc" },
+        select: { purpose: true, state: true },
+      })
+    : [];
+  const purposes = resolvePurposeStates({
+    shown: shownPurposes,
+    toggles: purposeToggles,
+    attribute: parsePurposeAttribute(getAttr("consent_purposes"), session?.mode),
+  });
+  const purposeStates = Object.fromEntries(Object.entries(purposes).map(([k, v]) => [k, v.state]));
+  dbg("resolved purposes", purposes);
 
   // Resolve identifiers
   const orderId = String(payload.id);
@@ -146,7 +197,11 @@ export async function action({ request }) {
     payload?.billing_address?.country ||
     null;
 
-  const { count: ordersCount, type: customerType } = await resolveCustomerType(admin, payload);
+  // One country for everything downstream: the one the widget decided on (per the
+  // shop's signal precedence). Only without a session do we use the order's billing country.
+  const country = session ? session.country || null : payload?.billing_address?.country_code || null;
+
+  const { count: ordersCount, type: customerType } = await resolveOrderCustomerType(admin, payload);
   const numericCustomerId = payload.customer?.id ? String(payload.customer.id) : null;
   const customerGid = numericCustomerId
     ? `gid://shopify/Customer/${numericCustomerId}`
@@ -158,7 +213,7 @@ export async function action({ request }) {
   const existing = email
     ? await prisma.customer.findUnique({
         where: { shop_email: { shop, email } },
-        select: { id: true, lastState: true },
+        select: { id: true, lastState: true, lastSmsState: true, purposes: true },
       })
     : null;
 
@@ -172,9 +227,21 @@ export async function action({ request }) {
             lastState: resolvedState,            // <-- tri-state
             lastConsentAt: new Date(),
             lastMode: session?.mode || undefined,
-            lastCountry:
-              session?.country || session?.ipCountry || session?.billingCountry || undefined,
+            lastCountry: country || undefined,
           };
+    const smsPatch =
+      typeof sms.subscribe === "undefined"
+        ? {}
+        : {
+            lastSmsState: resolvedSmsState,
+            lastSmsConsentAt: new Date(),
+            lastSmsMode: session?.smsMode || undefined,
+          };
+    // Purposes not shown this time keep their last state
+    const previousPurposes = existing?.purposes && typeof existing.purposes === "object" ? existing.purposes : {};
+    const purposePatch = Object.keys(purposeStates).length
+      ? { purposes: { ...previousPurposes, ...purposeStates } }
+      : {};
 
     customerRow = await prisma.customer.upsert({
       where: { shop_email: { shop, email } },
@@ -183,7 +250,11 @@ export async function action({ request }) {
         firstName,
         lastName,
         shopifyCustomerId: numericCustomerId || undefined,
+        customerType: customerType || undefined,
+        phone: phone || undefined,
         ...patch,
+        ...smsPatch,
+        ...purposePatch,
       },
       create: {
         shop,
@@ -191,7 +262,11 @@ export async function action({ request }) {
         firstName,
         lastName,
         shopifyCustomerId: numericCustomerId || null,
+        customerType: customerType || undefined,
+        phone,
         ...patch,
+        ...smsPatch,
+        ...purposePatch,
       },
       select: { id: true },
     });
@@ -209,8 +284,10 @@ export async function action({ request }) {
           lastName,
           subscribed: subscribe,
           sessionMode: session?.mode || undefined,
-          countryCode: session?.billingCountry || session?.ipCountry || billingCountry || null,
-          customerType
+          countryCode: country,
+          regionCode: session?.region || null,
+          // the type the widget decided with, so Klaviyo picks the same rule
+          customerType: session?.customerType || customerType,
         });
       } catch (e) {
         console.warn("[klaviyo sync] failed", e?.message || e);
@@ -222,6 +299,38 @@ export async function action({ request }) {
         next: resolvedState,
       });
     }
+
+    // Same rule for SMS, against the SMS state we last stored
+    if (typeof sms.subscribe === "boolean" && existing?.lastSmsState !== resolvedSmsState) {
+      try {
+        await syncKlaviyoSmsForCustomer({
+          shop,
+          phone: smsPhone,
+          email,
+          subscribed: sms.subscribe,
+          sessionMode: session?.smsMode || undefined,
+        });
+      } catch (e) {
+        console.warn("[klaviyo sms sync] failed", e?.message || e);
+      }
+    }
+
+    // Purposes whose state changed, with their Klaviyo mapping
+    const changedKeys = Object.keys(purposeStates).filter(
+      (k) => purposeStates[k] !== previousPurposes[k] && purposeStates[k] !== "NOT_SUBSCRIBED"
+    );
+    if (changedKeys.length) {
+      try {
+        const rows = await prisma.consentPurpose.findMany({ where: { shop, key: { in: changedKeys } } });
+        await syncKlaviyoPurposes({
+          shop,
+          email,
+          changes: rows.map((purpose) => ({ purpose, subscribed: purposeStates[purpose.key] === "SUBSCRIBED" })),
+        });
+      } catch (e) {
+        console.warn("[klaviyo purposes sync] failed", e?.message || e);
+      }
+    }
   }
 
   // Update Shopify customer consent **only** if we know the outcome and have a Shopify customer
@@ -287,6 +396,32 @@ export async function action({ request }) {
     });
   }
 
+  // SMS consent on the Shopify customer. No suppression fence here: the consent
+  // webhook we listen to is email-only
+  if (customerGid && typeof sms.subscribe === "boolean") {
+    try {
+      const resp = await admin.graphql(SMS_MUT, {
+        variables: {
+          input: {
+            customerId: customerGid,
+            smsMarketingConsent: {
+              marketingState: sms.subscribe ? "SUBSCRIBED" : "UNSUBSCRIBED",
+              marketingOptInLevel: "SINGLE_OPT_IN",
+              consentUpdatedAt: new Date().toISOString(),
+            },
+          },
+        },
+      });
+      const json = await resp.json();
+      const errs = json?.data?.customerSmsMarketingConsentUpdate?.userErrors || [];
+      if (errs.length) console.warn("customerSmsMarketingConsentUpdate userErrors", errs);
+    } catch (e) {
+      console.error("SMS consent update failed:", e?.message || e);
+    }
+  } else {
+    dbg("skip Shopify SMS consent update", { hasGid: !!customerGid, hasSmsPhone: !!smsPhone, subscribeType: typeof sms.subscribe });
+  }
+
   // Link session + write finalise event; backfill events → customer
   if (sessionId) {
     try {
@@ -298,6 +433,7 @@ export async function action({ request }) {
           billingCountry,
           customerId: customerRow?.id || null,
           subscribed: typeof subscribe === "boolean" ? subscribe : null, // keep historical boolean
+          smsSubscribed: typeof sms.subscribe === "boolean" ? sms.subscribe : null,
           consentAt: typeof subscribe === "boolean" ? new Date() : null,
         },
       });
@@ -322,10 +458,30 @@ export async function action({ request }) {
         note: JSON.stringify({
           source: "Shopify",
           sessionMode: session?.mode || null,
+          evidence,
           billingCountry,
+          ...(Object.keys(purposes).length ? { purposes } : {}),
         }),
       },
     });
+
+    if (typeof sms.subscribe === "boolean") {
+      await prisma.consentEvent.create({
+        data: {
+          sessionId,
+          customerId: customerRow?.id || null,
+          type: "shopify_checkout",
+          channel: "sms",
+          state: resolvedSmsState,
+          note: JSON.stringify({
+            source: "Shopify",
+            sessionMode: session?.smsMode || null,
+            evidence: sms.evidence,
+            billingCountry,
+          }),
+        },
+      });
+    }
   }
 
   return json({ ok: true });
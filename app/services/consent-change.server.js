@@ -0,0 +1,269 @@
+// app/services/consent-change.server.js
+//
+// One path for "this customer's consent is now X", whoever says so: Shopify
+// (consent webhook), the buyer after checkout (thank-you / order status page)
+// or the buyer's preference center. Stores the state, records the event, and
+// pushes it to Shopify and Klaviyo where it didn't come from.
+import { prisma } from "~/db.server";
+import { unauthenticated } from "~/shopify.server";
+import {
+  syncKlaviyoForCustomer,
+  syncKlaviyoSmsForCustomer,
+  syncKlaviyoPurposes,
+} from "~/services/sync-to-klaviyo.server";
+
+const DBG = process.env.DEBUG_CONSENT_CHANGE === "1";
+const dbg = (...args) => { if (DBG) console.log("[consent_change]", ...args); };
+
+export const EMAIL_CONSENT_MUTATION = `#graphql
+mutation customerEmailMarketingConsentUpdate($input: CustomerEmailMarketingConsentUpdateInput!) {
+  customerEmailMarketingConsentUpdate(input: $input) {
+    userErrors { field message }
+    customer {
+      id
+      email
+      emailMarketingConsent {
+        marketingState
+        marketingOptInLevel
+        consentUpdatedAt
+      }
+    }
+  }
+}`;
+
+export const SMS_CONSENT_MUTATION = `#graphql
+mutation customerSmsMarketingConsentUpdate($input: CustomerSmsMarketingConsentUpdateInput!) {
+  customerSmsMarketingConsentUpdate(input: $input) {
+    userErrors { field message }
+    customer {
+      id
+      phone
+      smsMarketingConsent {
+        marketingState
+        marketingOptInLevel
+        consentUpdatedAt
+      }
+    }
+  }
+}`;
+
+// Where each channel's state lives, and how Shopify takes it.
+// Only email has a consent webhook to fence against
+const CHANNELS = {
+  email: {
+    stateField: "lastState",
+    atField: "lastConsentAt",
+    mutation: EMAIL_CONSENT_MUTATION,
+    field: "customerEmailMarketingConsentUpdate",
+    input: "emailMarketingConsent",
+    fence: true,
+  },
+  sms: {
+    stateField: "lastSmsState",
+    atField: "lastSmsConsentAt",
+    mutation: SMS_CONSENT_MUTATION,
+    field: "customerSmsMarketingConsentUpdate",
+    input: "smsMarketingConsent",
+    fence: false,
+  },
+};
+
+export const CONSENT_CHANNELS = Object.keys(CHANNELS);
+
+// Shopify only takes SUBSCRIBED / UNSUBSCRIBED here
+async function pushToShopify(shop, customer, channel, state, consentAt) {
+  const cfg = CHANNELS[channel];
+  if (!customer.shopifyCustomerId || state === "NOT_SUBSCRIBED") return false;
+  if (channel === "sms" && !customer.phone) return false;
+
+  // Fence first: the consent webhook Shopify sends back for our own write is skipped
+  if (cfg.fence) {
+    await prisma.customer.update({
+      where: { id: customer.id },
+      data: { suppressConsentWebhookUntil: new Date(Date.now() + 2 * 60 * 1000), suppressConsentState: state },
+    });
+  }
+
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    const resp = await admin.graphql(cfg.mutation, {
+      variables: {
+        input: {
+          customerId: `gid://shopify/Customer/${customer.shopifyCustomerId}`,
+          [cfg.input]: {
+            marketingState: state,
+            marketingOptInLevel: "SINGLE_OPT_IN",
+            consentUpdatedAt: consentAt.toISOString(),
+          },
+        },
+      },
+    });
+    const json = await resp.json();
+    const errs = json?.data?.[cfg.field]?.userErrors || [];
+    if (!errs.length) return true;
+    console.warn(`[consent_change] ${cfg.field} userErrors`, errs);
+  } catch (e) {
+    console.error("[consent_change] Shopify consent update failed:", e?.message || e);
+  }
+  if (cfg.fence) {
+    await prisma.customer.update({
+      where: { id: customer.id },
+      data: { suppressConsentWebhookUntil: null, suppressConsentState: null },
+    });
+  }
+  return false;
+}
+
+const CUSTOMER_SELECT = {
+  id: true, email: true, phone: true, firstName: true, lastName: true, shopifyCustomerId: true,
+  lastState: true, lastSmsState: true, lastCountry: true, customerType: true, purposes: true,
+};
+
+/**
+ * Apply a new marketing state for one channel to a customer we already have.
+ * @param {object} args
+ * @param {string} args.shop
+ * @param {string} args.customerId        Customer.id
+ * @param {"SUBSCRIBED"|"UNSUBSCRIBED"|"NOT_SUBSCRIBED"} args.state
+ * @param {"email"|"sms"=} args.channel
+ * @param {string} args.type              ConsentEvent.type, e.g. "post_checkout_change"
+ * @param {object=} args.note             stored as the event note (JSON)
+ * @param {string=} args.sessionId        checkout the change relates to
+ * @param {Date=} args.consentAt
+ * @param {boolean=} args.updateShopify   false when Shopify told us (consent webhook)
+ * @returns {Promise<{ previous: string|null, state: string, shopifyUpdated: boolean }>}
+ */
+export async function applyConsentChange({
+  shop,
+  customerId,
+  state,
+  channel = "email",
+  type,
+  note = {},
+  sessionId = null,
+  consentAt = new Date(),
+  updateShopify = true,
+}) {
+  const cfg = CHANNELS[channel];
+  if (!cfg) throw new Error(`Unknown channel ${channel}`);
+  const customer = await prisma.customer.findUnique({ where: { id: customerId }, select: CUSTOMER_SELECT });
+  if (!customer) throw new Error(`Customer ${customerId} not found`);
+  const previous = customer[cfg.stateField];
+  dbg("apply", { shop, customerId, channel, type, from: previous, to: state });
+
+  await prisma.customer.update({
+    where: { id: customer.id },
+    data: {
+      [cfg.stateField]: state,
+      [cfg.atField]: consentAt,
+      // A change we're honoring: nothing to fence any more (pushToShopify sets its own)
+      ...(cfg.fence ? { suppressConsentWebhookUntil: null, suppressConsentState: null } : {}),
+    },
+  });
+
+  const shopifyUpdated = updateShopify ? await pushToShopify(shop, customer, channel, state, consentAt) : false;
+
+  await prisma.consentEvent.create({
+    data: {
+      sessionId,
+      customerId: customer.id,
+      type,
+      channel,
+      state,
+      note: JSON.stringify(note),
+    },
+  });
+
+  const buyerAsked = type === "post_checkout_change" || type === "preference_center_update";
+
+  if (channel === "sms") {
+    // NOT_SUBSCRIBED means nothing to tell Klaviyo
+    if (customer.phone && state !== "NOT_SUBSCRIBED") {
+      try {
+        await syncKlaviyoSmsForCustomer({
+          shop,
+          phone: customer.phone,
+          email: customer.email,
+          subscribed: state === "SUBSCRIBED",
+        });
+      } catch (e) {
+        console.warn("[consent_change] klaviyo sms sync failed:", e?.message || e);
+      }
+    }
+  } else if (customer.email) {
+    // Klaviyo: same resolver inputs as at checkout when the change relates to one
+    const session = sessionId
+      ? await prisma.consentSession.findUnique({
+          where: { id: sessionId },
+          select: { mode: true, country: true, region: true, customerType: true },
+        })
+      : null;
+    try {
+      await syncKlaviyoForCustomer({
+        shop,
+        email: customer.email,
+        firstName: customer.firstName,
+        lastName: customer.lastName,
+        subscribed: state === "SUBSCRIBED",
+        sessionMode: session?.mode,
+        // No session and no known country (e.g. Shopify's consent webhook for a
+        // customer we never located): the resolver applies the shop's
+        // unknown-jurisdiction policy, STRICTEST (so usually the DOI list) by default.
+        // Deliberate: it's the rule a checkout we couldn't locate would have shown
+        countryCode: session?.country || customer.lastCountry || undefined,
+        regionCode: session?.region || null,
+        customerType: session?.customerType || customer.customerType || undefined,
+        // the buyer asked for this themselves
+        consentEvidence: buyerAsked ? { explicitToggle: true, source: note.source } : {},
+      });
+    } catch (e) {
+      console.warn("[consent_change] klaviyo sync failed:", e?.message || e);
+    }
+  } else {
+    dbg("skip Klaviyo sync: no email");
+  }
+
+  return { previous, state, shopifyUpdated };
+}
+
+/**
+ * Apply a new state for one consent purpose (see consent-purposes.server.js).
+ * Purposes aren't a Shopify concept: stored here and mapped to Klaviyo only.
+ * @param {object} args
+ * @param {string} args.shop
+ * @param {string} args.customerId
+ * @param {string} args.purposeKey
+ * @param {"SUBSCRIBED"|"UNSUBSCRIBED"} args.state
+ * @param {string} args.type
+ * @param {object=} args.note
+ */
+export async function applyPurposeChange({ shop, customerId, purposeKey, state, type, note = {} }) {
+  const customer = await prisma.customer.findUnique({ where: { id: customerId }, select: CUSTOMER_SELECT });
+  if (!customer) throw new Error(`Customer ${customerId} not found`);
+  const purposes = customer.purposes && typeof customer.purposes === "object" ? customer.purposes : {};
+  const previous = purposes[purposeKey] || null;
+  dbg("apply purpose", { shop, customerId, purposeKey, type, from: previous, to: state });
+
+  await prisma.customer.update({
+    where: { id: customer.id },
+    data: { purposes: { ...purposes, [purposeKey]: state } },
+  });
+  await prisma.consentEvent.create({
+    data: { customerId: customer.id, type, purpose: purposeKey, state, note: JSON.stringify(note) },
+  });
+
+  const purpose = await prisma.consentPurpose.findUnique({ where: { shop_key: { shop, key: purposeKey } } });
+  if (purpose && customer.email && previous !== state) {
+    try {
+      await syncKlaviyoPurposes({
+        shop,
+        email: customer.email,
+        changes: [{ purpose, subscribed: state === "SUBSCRIBED" }],
+      });
+    } catch (e) {
+      console.warn("[consent_change] klaviyo purposes sync failed:", e?.message || e);
+    }
+  }
+
+  return { previous, state };
+}
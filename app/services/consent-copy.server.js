@@ -0,0 +1,70 @@
+// app/services/consent-copy.server.js
+//
+// Consent copy per buyer language. AppSettings holds the copy in the shop's
+// default language; ConsentCopy rows hold translations. A blank translated
+// field falls back to the default-language text, so a half-done translation
+// never shows an empty widget.
+import { prisma } from "~/db.server";
+
+// Languages the settings page offers (and the widget's own strings cover en/fr/de)
+export const COPY_LANGUAGES = {
+  en: "English",
+  fr: "French",
+  de: "German",
+  es: "Spanish",
+  it: "Italian",
+  nl: "Dutch",
+};
+
+export const DEFAULT_LOCALE = "en";
+
+// Translatable fields, same names as on AppSettings
+export const COPY_FIELDS = [
+  "optInText",
+  "optOutText",
+  "noCheckboxText",
+  "marketingInfo",
+  "privacyUrl",
+  "smsOptInText",
+  "smsOptOutText",
+];
+
+// "fr-CA" / "fr_CA" / "FR" → "fr"; null when it isn't a language we offer
+export function normLocale(raw) {
+  const lang = String(raw || "").trim().toLowerCase().split(/[-_]/)[0];
+  return COPY_LANGUAGES[lang] ? lang : null;
+}
+
+const blank = (v) => v == null || String(v).trim() === "";
+
+/**
+ * Pick the copy for a buyer locale. Read-only, no DB access.
+ * @param {object|null} settings   AppSettings row (default-language copy)
+ * @param {object[]} translations  ConsentCopy rows for the shop
+ * @param {string|null} locale     buyer locale, e.g. "de-DE"
+ * @returns {{ locale: string, optInText?: string, optOutText?: string, noCheckboxText?: string,
+ *   marketingInfo?: string, privacyUrl?: string, smsOptInText?: string, smsOptOutText?: string }}
+ *   locale: the language the copy is in (the shop default when there's no translation)
+ */
+export function pickCopy(settings, translations, locale) {
+  const defaultLocale = normLocale(settings?.defaultLocale) || DEFAULT_LOCALE;
+  const base = {};
+  for (const f of COPY_FIELDS) base[f] = settings?.[f] ?? undefined;
+
+  const lang = normLocale(locale);
+  const row = lang && lang !== defaultLocale ? translations.find((t) => t.locale === lang) : null;
+  if (!row) return { locale: defaultLocale, ...base };
+
+  const copy = { locale: lang };
+  for (const f of COPY_FIELDS) copy[f] = blank(row[f]) ? base[f] : row[f];
+  return copy;
+}
+
+/** AppSettings + the copy for `locale`. */
+export async function loadConsentCopy(shop, locale) {
+  const [settings, translations] = await Promise.all([
+    prisma.appSettings.findUnique({ where: { shop } }),
+    prisma.consentCopy.findMany({ where: { shop } }),
+  ]);
+  return { settings, copy: pickCopy(settings, translations, locale) };
+}
@@ -0,0 +1,147 @@
+// app/services/consent-decision.server.js
+//
+// The one place that turns (country, region, customer type, prior state) into a
+// consent decision. Both the checkout widget (api.settings.privacy) and the
+// Klaviyo list choice (sync-to-klaviyo) go through here, so they can't disagree.
+import { pickRule, normRegion } from "~/services/consent-matrix.server";
+
+function normType(x) {
+  const s = String(x || "").toLowerCase();
+  if (s === "single" || s === "first" || s === "first_time" || s === "first-time") return "single";
+  if (s === "repeat" || s === "returning") return "repeat";
+  return null;
+}
+
+/**
+ * Resolve the consent decision and explain it.
+ * @param {object} args
+ * @param {string=} args.shop
+ * @param {string=} args.countryCode   // e.g. "GB"
+ * @param {string=} args.countrySource // which signal gave the country ("shipping", "ip"…)
+ * @param {string=} args.region        // e.g. "US-CA"
+ * @param {string=} args.customerType  // "single" | "repeat" (unknown → "single")
+ * @param {"SUBSCRIBED"|"UNSUBSCRIBED"|"NOT_SUBSCRIBED"|null=} args.priorState
+ * @param {"SUBSCRIBED"|"UNSUBSCRIBED"|"NOT_SUBSCRIBED"|null=} args.priorSmsState
+ * @param {Date=} args.at              // resolve against the matrix in force at this time
+ * @returns {Promise<{ mode: string, emailMethod: string, smsMode: string, smsMethod: string, versionId: string,
+ *   fallbackApplied: boolean, rule: object, trace: object }>}
+ */
+export async function resolveConsentDecision({
+  shop,
+  countryCode,
+  countrySource = null,
+  region,
+  customerType,
+  priorState = null,
+  priorSmsState = null,
+  at = new Date(),
+}) {
+  const code = countryCode ? String(countryCode).toUpperCase() : null;
+  const reg = normRegion(region);
+  const ct = normType(customerType);
+  const fallbacks = [];
+
+  if (!ct) fallbacks.push({ step: "customer_type", reason: "unknown customer type", used: "single" });
+
+  const rule = await pickRule({ shop, region: reg, code, customerType: ct || "single", at });
+
+  if (reg && rule.matchedBy !== "region") {
+    fallbacks.push({ step: "region", reason: `no rule for ${reg}`, used: rule.countryCode });
+  }
+  const fallbackApplied = rule.matchedBy === "fallback";
+  if (fallbackApplied) {
+    fallbacks.push({
+      step: "country",
+      reason: code ? `no rule for ${code}` : "country unknown",
+      used: `${rule.fallbackPolicy} policy` + (rule.countryCode ? ` (${rule.countryCode})` : ""),
+    });
+  }
+
+  // A customer who previously unsubscribed must actively opt back in
+  const baseMode = rule?.widget || "OPT_IN";
+  const priorUnsubscribe = priorState === "UNSUBSCRIBED" && baseMode !== "OPT_IN";
+  const mode = priorState === "UNSUBSCRIBED" ? "OPT_IN" : baseMode;
+  const emailMethod = rule?.emailMethod || "SOI";
+
+  // Same rule per channel: an SMS unsubscribe only forces the SMS checkbox to opt-in
+  const baseSmsMode = rule?.smsWidget || "OPT_IN";
+  const priorSmsUnsubscribe = priorSmsState === "UNSUBSCRIBED" && baseSmsMode !== "OPT_IN";
+  const smsMode = priorSmsState === "UNSUBSCRIBED" ? "OPT_IN" : baseSmsMode;
+  const smsMethod = rule?.smsMethod || "SOI";
+
+  const trace = {
+    at: at.toISOString(),
+    inputs: {
+      countryCode: code,
+      countrySource: code ? countrySource : null,
+      region: reg,
+      customerType: customerType ?? null,
+      priorState,
+      priorSmsState,
+    },
+    matched: {
+      by: rule.matchedBy,
+      countryCode: rule.countryCode || null,
+      regionCode: rule.regionCode || null,
+      customerType: ct || "single",
+      widget: rule.widget,
+      emailMethod: rule.emailMethod,
+      smsWidget: rule.smsWidget || null,
+      smsMethod: rule.smsMethod || null,
+      overridden: !!rule.overridden,
+      versionId: rule.versionId,
+      fallbackPolicy: rule.fallbackPolicy || null,
+    },
+    fallbacks,
+    priorUnsubscribeOverride: priorUnsubscribe ? { from: baseMode, to: "OPT_IN" } : null,
+    priorSmsUnsubscribeOverride: priorSmsUnsubscribe ? { from: baseSmsMode, to: "OPT_IN" } : null,
+    decision: { mode, emailMethod, smsMode, smsMethod },
+  };
+
+  return { mode, emailMethod, smsMode, smsMethod, versionId: rule.versionId, fallbackApplied, rule, trace };
+}
+
+// One-line-per-fact explanation of a stored trace, for support in the admin
+export function explainTrace(trace) {
+  if (!trace || typeof trace !== "object") return [];
+  const lines = [];
+  const {
+    inputs = {},
+    matched = {},
+    fallbacks = [],
+    priorUnsubscribeOverride,
+    priorSmsUnsubscribeOverride,
+    decision = {},
+  } = trace;
+
+  lines.push(
+    `Inputs: country ${inputs.countryCode || "unknown"}` +
+      (inputs.countrySource ? ` (from ${inputs.countrySource})` : "") +
+      (inputs.region ? `, region ${inputs.region}` : "") +
+      `, customer type ${inputs.customerType || "unknown"}` +
+      (inputs.priorState ? `, prior state ${inputs.priorState}` : "") +
+      (inputs.priorSmsState ? `, prior SMS state ${inputs.priorSmsState}` : "")
+  );
+  lines.push(
+    `Matched ${matched.regionCode || matched.countryCode || "—"} (${matched.customerType}) by ${matched.by}: ` +
+      `${matched.widget} / ${matched.emailMethod}` +
+      (matched.smsWidget ? `, SMS ${matched.smsWidget} / ${matched.smsMethod}` : "") +
+      (matched.overridden ? " — shop override" : "")
+  );
+  for (const f of fallbacks) lines.push(`Fallback (${f.step}): ${f.reason}, used ${f.used}`);
+  if (priorUnsubscribeOverride) {
+    lines.push(
+      `Previously unsubscribed: ${priorUnsubscribeOverride.from} changed to ${priorUnsubscribeOverride.to}`
+    );
+  }
+  if (priorSmsUnsubscribeOverride) {
+    lines.push(
+      `Previously unsubscribed from SMS: ${priorSmsUnsubscribeOverride.from} changed to ${priorSmsUnsubscribeOverride.to}`
+    );
+  }
+  lines.push(
+    `Decision: ${decision.mode} / ${decision.emailMethod}` +
+      (decision.smsMode ? `; SMS ${decision.smsMode} / ${decision.smsMethod}` : "")
+  );
+  return lines;
+}
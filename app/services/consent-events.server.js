@@ -0,0 +1,121 @@
+// app/services/consent-events.server.js
+//
+// Events the checkout widget reports (impressions, toggles, link clicks).
+// Shared by POST /api/v1/consent/sessions/:id/events and the older
+// /api/consent/event: same checks, same outcome, only the transport differs.
+import { prisma } from "~/db.server";
+import { PURPOSE_KEY_RE } from "~/services/consent-purposes.server";
+import { checkRateLimit, logEventCap, MAX_EVENTS_PER_SESSION } from "~/services/rate-limit.server";
+import { validateBody } from "~/utils/validate.server";
+
+// What the checkout widget may report. Everything else (shopify_checkout,
+// post_checkout_change, ...) is written by the server itself and can't be posted here
+export const WIDGET_EVENT_TYPES = [
+  "widget_rendered",
+  "shopify_checkout_toggle",
+  "purpose_toggle",
+  "preferences_modal_opened",
+  "privacy_link_clicked",
+];
+// Types that record a choice, so need a state
+const TOGGLE_TYPES = ["shopify_checkout_toggle", "purpose_toggle"];
+
+const MARKETING_STATES = ["SUBSCRIBED", "UNSUBSCRIBED", "NOT_SUBSCRIBED"];
+
+export const EVENT_SCHEMA = {
+  // Client-generated idempotency key (the widget retries with the same id)
+  eventId: { pattern: /^[A-Za-z0-9_-]{8,64}$/, code: "INVALID_EVENT_ID" },
+  type: { required: true, oneOf: WIDGET_EVENT_TYPES, code: "INVALID_TYPE" },
+  state: { oneOf: MARKETING_STATES, upper: true, code: "INVALID_STATE" },
+  // Which marketing channel a toggle is for (older widgets only send email ones)
+  channel: { oneOf: ["email", "sms"], lower: true, code: "INVALID_CHANNEL" },
+  // Consent purpose key for purpose_toggle events (see consent-purposes.server.js)
+  purpose: { pattern: PURPOSE_KEY_RE, code: "INVALID_PURPOSE" },
+  country: { pattern: /^[A-Z]{2}$/, upper: true, code: "INVALID_COUNTRY" },
+  note: { type: ["string", "object"], maxLength: 4000, code: "INVALID_NOTE" },
+};
+
+const failure = (status, code, error, details) => ({ ok: false, status, code, error, details });
+
+/**
+ * Validate and store one widget event.
+ * @param {object} args
+ * @param {string} args.shop        from the checkout session token, never the body
+ * @param {string} args.sessionId
+ * @param {unknown} args.body       the event as posted (see EVENT_SCHEMA)
+ * @param {string|null=} args.ip    for the throttle log
+ * @returns {Promise<{ ok: true, duplicate: boolean } |
+ *   { ok: false, status: number, code: string, error: string, details?: object[], retryAfter?: number }>}
+ */
+export async function recordWidgetEvent({ shop, sessionId, body, ip = null }) {
+  if (!sessionId || typeof sessionId !== "string") return failure(400, "MISSING_FIELDS", "sessionId is required");
+
+  const { value, errors } = validateBody(body, EVENT_SCHEMA);
+  if (errors.length) return failure(400, errors[0].code, errors[0].message, errors);
+  const { eventId: clientEventId, type, state, purpose, country } = value;
+  const channel = value.channel || "email";
+  const note = value.note == null ? null : typeof value.note === "string" ? value.note : JSON.stringify(value.note);
+
+  // MarketingState: required on toggles, meaningless elsewhere
+  if (TOGGLE_TYPES.includes(type) ? !state : state) {
+    return failure(400, "INVALID_STATE", TOGGLE_TYPES.includes(type) ? `${type} needs a state` : `${type} takes no state`);
+  }
+  if ((type === "purpose_toggle") !== !!purpose) {
+    return failure(400, "INVALID_PURPOSE", purpose ? `${type} takes no purpose` : "purpose_toggle needs a purpose");
+  }
+
+  // The session must be this shop's: another shop's token gets the same answer as
+  // an unknown id, so session ids can't be probed across shops
+  const session = await prisma.consentSession.findUnique({
+    where: { id: sessionId },
+    select: { id: true, shop: true, orderId: true },
+  });
+  if (!session || !shop || session.shop !== shop) {
+    return failure(404, "SESSION_NOT_FOUND", "Session not found");
+  }
+
+  // Budget per checkout (the session stands for its checkout) and per shop. Only once
+  // the session is known to be this shop's: made-up ids would each get a fresh budget
+  const limited = await checkRateLimit({ endpoint: "event", shop, checkout: session.id, ip });
+  if (!limited.ok) return { ...failure(429, "RATE_LIMITED", "Too many requests"), retryAfter: limited.retryAfter };
+
+  // Already stored for this session? A retry whose first attempt did arrive: answer
+  // ok, store nothing. The same id on another session is that session's business
+  if (clientEventId) {
+    const seen = await prisma.consentEvent.findUnique({
+      where: { sessionId_clientEventId: { sessionId: session.id, clientEventId } },
+      select: { id: true },
+    });
+    if (seen) return { ok: true, duplicate: true };
+  }
+
+  // The orders webhook has read this checkout's consent: later widget events can't change it
+  if (session.orderId) {
+    return failure(409, "SESSION_FINALIZED", "Session already finalized by an order");
+  }
+
+  // Hard cap per checkout: a looping widget (or a script) can't grow one session forever.
+  // Not a 429: waiting doesn't help, and the widget retries those
+  const stored = await prisma.consentEvent.count({ where: { sessionId: session.id } });
+  if (stored >= MAX_EVENTS_PER_SESSION) {
+    await logEventCap({ shop, sessionId: session.id, ip });
+    return failure(409, "EVENT_CAP_REACHED", `Session already has ${MAX_EVENTS_PER_SESSION} events`);
+  }
+
+  try {
+    await prisma.consentEvent.create({
+      data: { sessionId: session.id, type, state, country, note, channel, purpose, clientEventId },
+    });
+  } catch (e) {
+    // Two attempts raced past the check above: the (sessionId, clientEventId) index keeps one
+    if (e?.code === "P2002" && clientEventId) return { ok: true, duplicate: true };
+    throw e;
+  }
+
+  await prisma.consentSession.update({
+    where: { id: session.id },
+    data: {}, // just to bump updatedAt via @updatedAt
+  });
+
+  return { ok: true, duplicate: false };
+}
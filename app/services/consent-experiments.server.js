@@ -0,0 +1,118 @@
+// app/services/consent-experiments.server.js
+//
+// A/B tests of the consent wording. An experiment runs for one widget mode
+// between its start and stop dates and splits checkouts across copy variants
+// by weight. A checkout always gets the same variant (hash of its token), so
+// re-evaluating the widget never flips the wording mid-checkout.
+import { createHash } from "node:crypto";
+import { prisma } from "~/db.server";
+
+export const EXPERIMENT_MODES = ["OPT_IN", "OPT_OUT", "NO_CHECKBOX"];
+
+// Variant keys by position; the first one is the baseline the others are compared to
+export const VARIANT_KEYS = ["A", "B", "C", "D"];
+
+/** The experiment running for `mode` at `at`, if any (the earliest started wins). */
+export async function activeExperiment(shop, mode, at = new Date()) {
+  return prisma.consentExperiment.findFirst({
+    where: {
+      shop,
+      mode,
+      startsAt: { lte: at },
+      OR: [{ endsAt: null }, { endsAt: { gt: at } }],
+    },
+    orderBy: { startsAt: "asc" },
+  });
+}
+
+/**
+ * Deterministic weighted pick: same experiment + token → same variant.
+ * @param {{ id: string, variants: { key: string, weight: number }[] }} experiment
+ * @param {string} checkoutToken
+ * @returns {object|null} the variant, or null when no weight is set
+ */
+export function pickVariant(experiment, checkoutToken) {
+  const variants = (Array.isArray(experiment?.variants) ? experiment.variants : []).filter((v) => v.weight > 0);
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+  if (!checkoutToken || !total) return null;
+
+  const hash = createHash("sha256").update(`${experiment.id}:${checkoutToken}`).digest();
+  const point = (hash.readUInt32BE(0) / 0x100000000) * total;
+  let cumulative = 0;
+  for (const v of variants) {
+    cumulative += v.weight;
+    if (point < cumulative) return v;
+  }
+  return variants[variants.length - 1];
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-proportion z-test (pooled), two-sided.
+ * @returns {{ z: number, pValue: number }|null} null when either sample is empty or there's no variance
+ */
+export function twoProportionZTest(successA, totalA, successB, totalB) {
+  if (!totalA || !totalB) return null;
+  const pooled = (successA + successB) / (totalA + totalB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (!se) return null;
+  const z = (successB / totalB - successA / totalA) / se;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+// Below this many completed checkouts per arm the normal approximation isn't worth showing
+export const MIN_SAMPLE = 30;
+
+/**
+ * Opt-in rate per variant over completed checkouts, each compared to the baseline (first variant).
+ * @returns {Promise<{ key: string, label: string, weight: number, sessions: number, orders: number,
+ *   optIns: number, rate: number|null, lift: number|null, pValue: number|null, significant: boolean }[]>}
+ */
+export async function experimentResults(experiment) {
+  const rows = await prisma.consentSession.groupBy({
+    by: ["variant", "subscribed"],
+    where: { experimentId: experiment.id },
+    _count: { _all: true },
+  });
+  const orders = await prisma.consentSession.groupBy({
+    by: ["variant"],
+    where: { experimentId: experiment.id, orderId: { not: null } },
+    _count: { _all: true },
+  });
+
+  const stats = (experiment.variants || []).map((v) => {
+    const mine = rows.filter((r) => r.variant === v.key);
+    const ordered = orders.find((r) => r.variant === v.key)?._count._all || 0;
+    const optIns = mine.filter((r) => r.subscribed === true).reduce((n, r) => n + r._count._all, 0);
+    return {
+      key: v.key,
+      label: v.label,
+      weight: v.weight,
+      sessions: mine.reduce((n, r) => n + r._count._all, 0),
+      orders: ordered,
+      optIns,
+      rate: ordered ? optIns / ordered : null,
+    };
+  });
+
+  const [base] = stats;
+  return stats.map((s, i) => {
+    if (i === 0 || !base) return { ...s, lift: null, pValue: null, significant: false };
+    const test = twoProportionZTest(base.optIns, base.orders, s.optIns, s.orders);
+    const enough = base.orders >= MIN_SAMPLE && s.orders >= MIN_SAMPLE;
+    return {
+      ...s,
+      lift: s.rate != null && base.rate != null ? s.rate - base.rate : null,
+      pValue: test ? test.pValue : null,
+      significant: !!test && enough && test.pValue < 0.05,
+    };
+  });
+}
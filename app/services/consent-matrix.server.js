@@ -2,79 +2,298 @@
 import fs from "fs/promises";
 import path from "node:path";
 import matrix from "~/data/consent_matrix.json";
+import { prisma } from "~/db.server";
+import { DEFAULT_SMS_METHOD, DEFAULT_SMS_WIDGET } from "~/utils/matrix-csv.server";
 
-// Build two indexes so you can look up by code OR by country name
-let cache = null;
-async function loadMatrix() {
-  if (cache) return cache;
-  const file = path.resolve(
-    process.cwd(),
-    "app/data/consent_matrix.json"
-  );
-  const rows = JSON.parse(await fs.readFile(file, "utf8"));
+export const BUNDLED_VERSION = { id: "bundled", label: "Bundled default", effectiveFrom: null };
+
+// ISO 3166-2 subdivision, e.g. "US-CA", "CA-QC", "AU-NSW"
+const REGION_RE = /^[A-Z]{2}-[A-Z0-9]{1,3}$/;
 
+export function normRegion(x) {
+  const r = String(x || "").trim().toUpperCase();
+  return REGION_RE.test(r) ? r : null;
+}
+
+// Build indexes so you can look up by region, code OR by country name.
+// Rows with a region_code only go into byRegion; country rows stay the fallback.
+function indexRows(rows) {
   const byCode = new Map();
   const byName = new Map();
+  const byRegion = new Map();
 
   for (const r of rows) {
     const ct = String(r.customer_type || "single").toLowerCase();
+    const region = normRegion(r.region_code);
     const codeKey = `${String(r.country_code || "").trim().toUpperCase()}|${ct}`;
     const nameKey = `${String(r.country || "").trim().toLowerCase()}|${ct}`;
 
     const value = {
       widget: r.widget.toUpperCase(), // "OPT_IN" | "OPT_OUT" | "NO_CHECKBOX"
       emailMethod: r.email_method,    // "SOI" | "DOI"
+      // SMS columns are optional; rows without them get express opt-in
+      smsWidget: r.sms_widget ? String(r.sms_widget).toUpperCase() : DEFAULT_SMS_WIDGET,
+      smsMethod: r.sms_method ? String(r.sms_method).toUpperCase() : DEFAULT_SMS_METHOD,
       country: r.country || null,
       countryCode: r.country_code || null,
+      regionCode: region,
     };
 
+    if (region) {
+      byRegion.set(`${region}|${ct}`, value);
+      continue;
+    }
     byCode.set(codeKey, value);
     byName.set(nameKey, value);
   }
 
-  cache = { byCode, byName };
+  return { byCode, byName, byRegion };
+}
+
+let cache = null;
+async function loadMatrix() {
+  if (cache) return cache;
+  const file = path.resolve(
+    process.cwd(),
+    "app/data/consent_matrix.json"
+  );
+  const rows = JSON.parse(await fs.readFile(file, "utf8"));
+
+  cache = { ...indexRows(rows), rows, version: BUNDLED_VERSION };
   return cache;
 }
 
-// Pull best matching rule. We accept either code or country name.
+// Published versions never change, so their indexes can be cached by id
+const versionCache = new Map();
+
+// The version in force for a shop at a point in time, or the bundled file
+export async function getActiveMatrixVersion(shop, at = new Date()) {
+  if (!shop) return BUNDLED_VERSION;
+  const version = await prisma.consentMatrixVersion.findFirst({
+    where: { shop, effectiveFrom: { lte: at } },
+    orderBy: { effectiveFrom: "desc" },
+    select: { id: true, label: true, effectiveFrom: true },
+  });
+  return version || BUNDLED_VERSION;
+}
+
+async function loadBaseMatrix(shop, at) {
+  const version = await getActiveMatrixVersion(shop, at);
+  if (version.id === BUNDLED_VERSION.id) return loadMatrix();
+
+  let indexed = versionCache.get(version.id);
+  if (!indexed) {
+    const row = await prisma.consentMatrixVersion.findUnique({
+      where: { id: version.id },
+      select: { rows: true },
+    });
+    const rows = Array.isArray(row?.rows) ? row.rows : [];
+    indexed = { ...indexRows(rows), rows };
+    versionCache.set(version.id, indexed);
+  }
+  return { ...indexed, version };
+}
+
+// Raw rows (consent_matrix.json format) of the version in force, without overrides
+export async function getMatrixRows(shop, { at = new Date() } = {}) {
+  const { rows, version } = await loadBaseMatrix(shop, at);
+  return { rows, version };
+}
+
+// Per-shop overrides, keyed the same way as byCode ("GB|single")
+async function loadOverrides(shop) {
+  const map = new Map();
+  if (!shop) return map;
+
+  const rows = await prisma.consentRuleOverride.findMany({ where: { shop } });
+  for (const o of rows) {
+    const key = `${String(o.countryCode).toUpperCase()}|${String(o.customerType).toLowerCase()}`;
+    map.set(key, {
+      widget: o.widget,
+      emailMethod: o.emailMethod,
+      smsWidget: o.smsWidget || null,
+      smsMethod: o.smsMethod || null,
+      overridden: true,
+    });
+  }
+  return map;
+}
+
+// Layer an override (if any) on top of the base row. Unset SMS columns keep the row's
+function withOverride(base, override) {
+  if (!override) return base;
+  return {
+    ...base,
+    widget: override.widget,
+    emailMethod: override.emailMethod,
+    smsWidget: override.smsWidget || base.smsWidget,
+    smsMethod: override.smsMethod || base.smsMethod,
+    overridden: true,
+  };
+}
+
+// Regional rule (row or override) for e.g. "US-CA", built on its country row.
+// Returns null when neither the matrix nor the shop has anything for that region.
+function regionRule({ byCode, byRegion }, overrides, region, ct) {
+  const key = `${region}|${ct}`;
+  const base = byRegion.get(key);
+  const override = overrides.get(key);
+  if (!base && !override) return null;
+
+  const parent = base || byCode.get(`${region.slice(0, 2)}|${ct}`);
+  if (!parent) return null;
+  return withOverride({ ...parent, regionCode: region }, override);
+}
+
+// Higher = stricter. Used to pick the "strictest" rule for unknown jurisdictions.
+const WIDGET_STRICTNESS = { NO_CHECKBOX: 0, OPT_OUT: 1, OPT_IN: 2 };
+const METHOD_STRICTNESS = { SOI: 0, DOI: 1 };
+
+// Last resort when the policy can't be applied (empty matrix, missing country)
+const OPT_IN_FALLBACK = {
+  widget: "OPT_IN",
+  emailMethod: "DOI",
+  smsWidget: "OPT_IN",
+  smsMethod: "DOI",
+  country: null,
+  countryCode: null,
+};
+
+// Shop's unknown-jurisdiction policy from AppSettings; STRICTEST when unset
+async function loadFallbackPolicy(shop) {
+  if (!shop) return { policy: "STRICTEST", country: null };
+  const s = await prisma.appSettings.findUnique({
+    where: { shop },
+    select: { fallbackPolicy: true, fallbackCountry: true },
+  });
+  return { policy: s?.fallbackPolicy || "STRICTEST", country: s?.fallbackCountry || null };
+}
+
+// Strictest country rule (overrides applied) for a customer type; ties go to the
+// lowest country code so the result is stable
+function strictestRule({ byCode }, overrides, ct) {
+  let best = null;
+  let bestScore = -1;
+  const keys = [...byCode.keys()].filter((k) => k.endsWith(`|${ct}`)).sort();
+  for (const key of keys) {
+    const rule = withOverride(byCode.get(key), overrides.get(key));
+    const score = (WIDGET_STRICTNESS[rule.widget] ?? 0) * 2 + (METHOD_STRICTNESS[rule.emailMethod] ?? 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Rule for an unresolved jurisdiction according to the shop's policy:
+//   OPT_IN    → opt-in checkbox + DOI
+//   COUNTRY   → that country's row (falls through to STRICTEST if it isn't in the matrix)
+//   STRICTEST → the strictest row in the shop's matrix
+function fallbackRule(base, overrides, ct, { policy, country }) {
+  let rule = null;
+  if (policy === "OPT_IN") rule = { ...OPT_IN_FALLBACK };
+  if (!rule && policy === "COUNTRY" && country) {
+    const code = String(country).toUpperCase();
+    const key = base.byCode.has(`${code}|${ct}`) ? `${code}|${ct}` : `${code}|single`;
+    const hit = base.byCode.get(key);
+    if (hit) rule = withOverride(hit, overrides.get(key));
+  }
+  if (!rule) rule = strictestRule(base, overrides, ct) || strictestRule(base, overrides, "single");
+  return { ...(rule || OPT_IN_FALLBACK), fallbackPolicy: policy };
+}
+
+// Pull best matching rule. We accept a region, a code or a country name.
+// region: ISO 3166-2 code ("US-CA"); falls back to the country row when unmatched
 // customerType: "single" | "repeat"
-export async function pickRule({ code, country, customerType = "single" }) {
-  const { byCode, byName } = await loadMatrix();
+// shop: when given, the shop's active matrix version and overrides are used
+// at: resolve against the version in force at this time (default: now)
+// The returned rule carries `versionId` so callers can stamp what decided it, and
+// `matchedBy` ("region" | "code" | "name" | "fallback") for the decision trace.
+// Fallback rules also carry `fallbackPolicy` (the shop's STRICTEST | COUNTRY | OPT_IN).
+export async function pickRule({ shop, region, code, country, customerType = "single", at = new Date() }) {
+  const base = await loadBaseMatrix(shop, at);
+  const { byCode, byName, version } = base;
+  const overrides = await loadOverrides(shop);
   const ct = String(customerType).toLowerCase();
+  const stamp = (rule, matchedBy) => (rule ? { ...rule, versionId: version.id, matchedBy } : rule);
+
+  const reg = normRegion(region);
+  if (reg && (!code || reg.startsWith(`${String(code).toUpperCase()}-`))) {
+    const hit = regionRule(base, overrides, reg, ct);
+    if (hit) return stamp(hit, "region");
+  }
 
   if (code) {
-    const hit = byCode.get(`${String(code).toUpperCase()}|${ct}`);
-    if (hit) return hit;
+    const key = `${String(code).toUpperCase()}|${ct}`;
+    const hit = byCode.get(key);
+    if (hit) return stamp(withOverride(hit, overrides.get(key)), "code");
   }
   if (country) {
     const hit = byName.get(`${String(country).toLowerCase()}|${ct}`);
-    if (hit) return hit;
+    if (hit) {
+      const key = `${String(hit.countryCode || "").toUpperCase()}|${ct}`;
+      return stamp(withOverride(hit, overrides.get(key)), "name");
+    }
   }
 
-  // Fallback: UK + "single" with a safe default
-  return (
-    byCode.get(`GB|${ct}`) ||
-    byCode.get(`GB|single`) || {
-      widget: "OPT_OUT",
-      emailMethod: "SOI",
-      country: "United Kingdom",
-      countryCode: "GB",
-    }
-  );
+  // Unknown jurisdiction: the shop's fallback policy decides
+  const fallback = fallbackRule(base, overrides, ct, await loadFallbackPolicy(shop));
+  return stamp(fallback, "fallback");
 }
 
-// Pull IP country from common edge headers (Cloudflare/Vercel/Railway proxies)
-export function detectCountryFromHeaders(request) {
-  const h = request.headers;
-  const code =
-    h.get("cf-ipcountry") ||
-    h.get("x-vercel-ip-country") ||
-    h.get("x-country-code") ||
-    null;
-  const name =
-    h.get("x-country-name") ||  // optional if your edge adds this
-    null;
-  return { code, name };
+// Full matrix as a shop sees it: the active version's rows with that shop's
+// overrides applied. Each row carries the version's own value as the default
+// so the admin can show what changed.
+export async function getEffectiveMatrix(shop, { at = new Date() } = {}) {
+  const indexed = await loadBaseMatrix(shop, at);
+  const { byCode, byRegion } = indexed;
+  const overrides = await loadOverrides(shop);
+
+  const out = [];
+  const push = (customerType, base, rule, regionCode = null) =>
+    out.push({
+      code: regionCode || base.countryCode,
+      countryCode: base.countryCode,
+      regionCode,
+      country: base.country,
+      customerType,
+      widget: rule.widget,
+      emailMethod: rule.emailMethod,
+      smsWidget: rule.smsWidget,
+      smsMethod: rule.smsMethod,
+      overridden: !!rule.overridden,
+      defaultWidget: base.widget,
+      defaultEmailMethod: base.emailMethod,
+      defaultSmsWidget: base.smsWidget,
+      defaultSmsMethod: base.smsMethod,
+    });
+
+  for (const [key, base] of byCode) {
+    const [, customerType] = key.split("|");
+    push(customerType, base, withOverride(base, overrides.get(key)));
+  }
+
+  // Regional rows from the matrix plus regions that only exist as shop overrides
+  const regionKeys = new Set(byRegion.keys());
+  for (const key of overrides.keys()) {
+    if (normRegion(key.split("|")[0])) regionKeys.add(key);
+  }
+  for (const key of regionKeys) {
+    const [region, customerType] = key.split("|");
+    const rule = regionRule(indexed, overrides, region, customerType);
+    if (!rule) continue;
+    const base = byRegion.get(key) || byCode.get(`${region.slice(0, 2)}|${customerType}`);
+    push(customerType, base, rule, region);
+  }
+
+  out.sort(
+    (a, b) =>
+      String(a.country).localeCompare(String(b.country)) ||
+      String(a.regionCode || "").localeCompare(String(b.regionCode || "")) ||
+      a.customerType.localeCompare(b.customerType)
+  );
+  return out;
 }
 
 // Your checkout UI expects these "opt" values:
@@ -0,0 +1,95 @@
+// app/services/consent-presentation.server.js
+//
+// What the checkout widget shows: the consent decision plus the shop's copy for
+// that mode, in the buyer's language. Shared by api.settings.privacy and the
+// admin simulator.
+import { DEFAULT_LOCALE, loadConsentCopy, normLocale } from "~/services/consent-copy.server";
+import { activeExperiment, pickVariant } from "~/services/consent-experiments.server";
+import { resolveConsentDecision } from "~/services/consent-decision.server";
+
+// Safe fallbacks if settings are missing
+const DEFAULT_OPT_IN_TEXT =
+  'We would like to email you news, special offers and other promotional material that may be of interest to you. Tick the box to <b>opt in</b>.';
+const DEFAULT_OPT_OUT_TEXT =
+  'We would like to email you news, special offers and other promotional material that may be of interest to you. Tick the box to <b>opt out.</b>';
+const DEFAULT_SMS_OPT_IN_TEXT =
+  'We would like to send you offers and news by text message. Tick the box to <b>opt in</b>. Message and data rates may apply.';
+const DEFAULT_SMS_OPT_OUT_TEXT =
+  'We would like to send you offers and news by text message. Tick the box to <b>opt out.</b> Message and data rates may apply.';
+
+/**
+ * Resolve the widget mode and the copy that goes with it. Read-only.
+ * @param {object} args
+ * @param {string} args.shop
+ * @param {string=} args.countryCode
+ * @param {string=} args.countrySource
+ * @param {string=} args.region
+ * @param {string=} args.customerType
+ * @param {"SUBSCRIBED"|"UNSUBSCRIBED"|"NOT_SUBSCRIBED"|null=} args.priorState
+ * @param {"SUBSCRIBED"|"UNSUBSCRIBED"|"NOT_SUBSCRIBED"|null=} args.priorSmsState
+ * @param {string=} args.locale        // buyer locale, e.g. "de-DE"
+ * @param {string=} args.checkoutToken // enters the checkout in a running copy experiment
+ * @param {Date=} args.at
+ */
+export async function presentConsent({ shop, countryCode, countrySource, region, customerType, priorState = null, priorSmsState = null, locale = null, checkoutToken = null, at = new Date() }) {
+  // Translation for the buyer's language, else the shop's default language
+  const { settings, copy } = await loadConsentCopy(shop, locale);
+
+  const optInText = copy.optInText ?? DEFAULT_OPT_IN_TEXT;
+  const optOutText = copy.optOutText ?? DEFAULT_OPT_OUT_TEXT;
+  const noCheckboxText = copy.noCheckboxText ?? "";
+  const marketingPreferences = copy.marketingInfo ?? "";
+  const privacyUrl = copy.privacyUrl ?? "";
+
+  const decision = await resolveConsentDecision({
+    shop,
+    countryCode,
+    countrySource,
+    region,
+    customerType,
+    priorState,
+    priorSmsState,
+    at,
+  });
+
+  // Pick display text according to mode
+  const { mode } = decision;
+  let displayText =
+    mode === "OPT_IN" ? optInText : mode === "OPT_OUT" ? optOutText : noCheckboxText;
+
+  // Copy experiment: variants are written in the shop's default language, so
+  // buyers served a translation stay out of it (and out of its results)
+  let experimentId = null;
+  let variant = null;
+  const defaultLocale = normLocale(settings?.defaultLocale) || DEFAULT_LOCALE;
+  if (checkoutToken && copy.locale === defaultLocale) {
+    const experiment = await activeExperiment(shop, mode, at);
+    const picked = experiment ? pickVariant(experiment, checkoutToken) : null;
+    if (picked) {
+      experimentId = experiment.id;
+      variant = picked.key;
+      // blank text = the shop's own copy (a control arm)
+      if (picked.text && picked.text.trim()) displayText = picked.text;
+    }
+  }
+  // SMS checkbox text; nothing when no SMS checkbox is shown
+  const { smsMode } = decision;
+  const smsDisplayText =
+    smsMode === "OPT_IN"
+      ? copy.smsOptInText ?? DEFAULT_SMS_OPT_IN_TEXT
+      : smsMode === "OPT_OUT"
+      ? copy.smsOptOutText ?? DEFAULT_SMS_OPT_OUT_TEXT
+      : "";
+
+  return {
+    ...decision,
+    locale: copy.locale,            // language of the copy served
+    requestedLocale: locale || null,
+    displayText,
+    experimentId,
+    variant,
+    smsDisplayText,
+    marketingPreferences,
+    privacyUrl,
+  };
+}
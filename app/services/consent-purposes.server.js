@@ -0,0 +1,87 @@
+// app/services/consent-purposes.server.js
+//
+// Merchant-defined consent purposes (newsletter, product updates, partner
+// offers…). Each is its own checkbox under the main one, ticked by default or
+// not depending on the matrix mode. Partner marketing etc. never piggybacks on
+// the main yes: a purpose is only on when its own box says so (or, under
+// NO_CHECKBOX, when the merchant made it a default).
+import { prisma } from "~/db.server";
+
+// Stable id used on events, attributes and Customer.purposes
+export const PURPOSE_KEY_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+// Klaviyo custom property names we'll write to
+export const PROPERTY_RE = /^[A-Za-z][A-Za-z0-9_ ]{0,63}$/;
+
+const DEFAULT_FIELD = {
+  OPT_IN: "defaultOptIn",
+  OPT_OUT: "defaultOptOut",
+  NO_CHECKBOX: "defaultNoCheckbox",
+};
+
+/** Ticked by default under `mode` (unknown mode → not ticked). */
+export function purposeDefault(purpose, mode) {
+  const field = DEFAULT_FIELD[mode];
+  return field ? !!purpose?.[field] : false;
+}
+
+/** Active purposes for a shop, in display order. */
+export async function loadPurposes(shop) {
+  return prisma.consentPurpose.findMany({
+    where: { shop, active: true },
+    orderBy: [{ position: "asc" }, { createdAt: "asc" }],
+  });
+}
+
+/**
+ * What the widget shows (and the session keeps as evidence).
+ * @returns {{ key: string, label: string, text: string, default: boolean }[]}
+ */
+export function presentPurposes(purposes, mode) {
+  return purposes.map((p) => ({
+    key: p.key,
+    label: p.label,
+    text: p.text,
+    default: purposeDefault(p, mode),
+  }));
+}
+
+/**
+ * consent_purposes order attribute → { key: "SUBSCRIBED"|"UNSUBSCRIBED" }.
+ * Written by the widget as "OPT_IN:newsletter=1,partners=0"; only trusted when
+ * made under `mode` (a mode change resets the boxes).
+ */
+export function parsePurposeAttribute(value, mode) {
+  const raw = String(value || "");
+  const sep = raw.indexOf(":");
+  if (sep < 0 || raw.slice(0, sep) !== mode) return {};
+  const out = {};
+  for (const pair of raw.slice(sep + 1).split(",")) {
+    const [key, flag] = pair.split("=");
+    if (PURPOSE_KEY_RE.test(key || "") && (flag === "1" || flag === "0")) {
+      out[key] = flag === "1" ? "SUBSCRIBED" : "UNSUBSCRIBED";
+    }
+  }
+  return out;
+}
+
+/**
+ * Final state per purpose shown at checkout.
+ * Evidence, like the main checkbox: toggle event → order attribute → default for the mode.
+ * @param {object} args
+ * @param {{ key: string, default: boolean }[]} args.shown  ConsentSession.purposes
+ * @param {{ purpose: string, state: string }[]} args.toggles  purpose_toggle events, newest first
+ * @param {Record<string, string>} args.attribute  parsePurposeAttribute output
+ * @returns {Record<string, { state: string, evidence: string }>}
+ */
+export function resolvePurposeStates({ shown, toggles, attribute }) {
+  const out = {};
+  for (const p of Array.isArray(shown) ? shown : []) {
+    if (!p?.key) continue;
+    const toggle = toggles.find((t) => t.purpose === p.key && t.state);
+    if (toggle) out[p.key] = { state: toggle.state, evidence: "toggle_event" };
+    else if (attribute[p.key]) out[p.key] = { state: attribute[p.key], evidence: "checkout_attribute" };
+    else out[p.key] = { state: p.default ? "SUBSCRIBED" : "NOT_SUBSCRIBED", evidence: "mode_default" };
+  }
+  return out;
+}
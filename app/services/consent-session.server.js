@@ -0,0 +1,229 @@
+// app/services/consent-session.server.js
+//
+// Opening (or refreshing) the consent session for a checkout: country and
+// region from every signal we have, the consent decision and copy, purposes,
+// and the ConsentSession row the orders webhook later reads. Shared by the
+// widget endpoints (/api/v1/consent/sessions and the older
+// /api/settings/privacy), which differ only in how the inputs arrive.
+import { randomUUID } from "crypto";
+import { prisma } from "~/db.server";
+import { presentConsent } from "~/services/consent-presentation.server";
+import { loadSignalOrder, resolveCountry } from "~/services/country-signals.server";
+import { loadProviderOrder, locateWithChain } from "~/services/geo-providers.server";
+import { resolveCheckoutCustomerType } from "~/services/customer-type.server";
+import { loadPurposes, presentPurposes } from "~/services/consent-purposes.server";
+
+// Subdivision from the checkout address (province "CA" + country "US" → "US-CA")
+function regionFromAddress(countryCode, provinceCode) {
+  const c = String(countryCode || "").trim().toUpperCase();
+  const p = String(provinceCode || "").trim().toUpperCase();
+  if (!c || !p) return null;
+  return p.startsWith(`${c}-`) ? p : `${c}-${p}`;
+}
+
+/**
+ * Decide what the widget shows and persist it for the checkout.
+ * @param {object} args
+ * @param {string} args.shop
+ * @param {string|null} args.checkoutToken   no token → decision only, nothing stored
+ * @param {string|null=} args.email          lower-cased buyer email, for prior state / customer type
+ * @param {string|null=} args.buyerLocale    checkout language, e.g. "de-CH"
+ * @param {{ shipping?: string|null, billing?: string|null, localization?: string|null }=} args.countries
+ *   upper-case ISO country codes from the checkout
+ * @param {string|null=} args.shippingProvince
+ * @param {Headers} args.headers             request headers (edge geolocation)
+ * @param {string|null=} args.ip             client IP (see ip.server.js)
+ * @param {string|null=} args.ipSource
+ * @returns {Promise<{ sessionId: string|null, countryCode: string|null, countrySource: string|null,
+ *   region: string|null, mode: string, smsMode: string|null, locale: string, displayText: string,
+ *   smsDisplayText: string, purposes: object[], marketingPreferences: string, privacyUrl: string }>}
+ */
+export async function openConsentSession({
+  shop,
+  checkoutToken,
+  email = null,
+  buyerLocale = null,
+  countries = {},
+  shippingProvince = null,
+  headers,
+  ip = null,
+  ipSource = null,
+}) {
+  // Edge headers / GeoLite / … in the shop's provider order
+  const geo = locateWithChain({ headers, ip }, await loadProviderOrder(shop));
+
+  // Every country signal we have; the shop's precedence picks the winner.
+  // Unknown stays unknown: the shop's fallback policy decides (see pickRule)
+  const shippingCountry = countries.shipping || null;
+  const order = await loadSignalOrder(shop);
+  const { country: countryCode, source: countrySource, signals } = resolveCountry(
+    {
+      shipping: shippingCountry,
+      billing: countries.billing || null,
+      localization: countries.localization || null,
+      geo: geo.country,
+    },
+    order
+  );
+
+  // Region: the checkout address is more precise than geolocation, but only
+  // counts when it is in the same country we are deciding for
+  const shippingRegion = regionFromAddress(shippingCountry, shippingProvince);
+  const region =
+    (countryCode && shippingCountry === countryCode ? shippingRegion : null) ||
+    (countryCode && geo.country === countryCode ? geo.region : null) ||
+    null;
+
+  const geoLookup = {
+    provider: geo.provider,
+    confidence: geo.confidence,
+    country: geo.country,
+    region: geo.region,
+    attempts: geo.attempts,
+  };
+
+  // Optional lookup: are they currently unsubscribed in your DB?
+  let currentState = null;
+  let currentSmsState = null;
+  if (email) {
+    const existing = await prisma.customer.findFirst({
+      where: { shop, email },
+      select: { lastState: true, lastSmsState: true },
+    });
+    currentState = existing?.lastState || null; // "SUBSCRIBED" | "UNSUBSCRIBED" | "NOT_SUBSCRIBED" | null
+    currentSmsState = existing?.lastSmsState || null;
+  }
+
+  // First-time vs repeat buyer, so the matrix's repeat rows apply at checkout too.
+  // Unknown (guest without email, lookup failed) → the decision falls back to "single"
+  const { type: customerType } = await resolveCheckoutCustomerType({ shop, email });
+
+  // Determine consent mode + copy by country/region and previously unsubscribed
+  // status, against the matrix version in force right now (stamped on the session)
+  const {
+    mode,
+    smsMode,
+    versionId,
+    fallbackApplied,
+    trace,
+    locale,
+    displayText,
+    experimentId,
+    variant,
+    smsDisplayText,
+    marketingPreferences,
+    privacyUrl,
+  } = await presentConsent({
+    shop,
+    countryCode,
+    countrySource,
+    region,
+    customerType,
+    priorState: currentState,
+    priorSmsState: currentSmsState,
+    locale: buyerLocale,
+    checkoutToken,
+    at: new Date(),
+  });
+  // Extra checkboxes (newsletter, partner offers…), defaults per the mode just decided
+  const purposes = presentPurposes(await loadPurposes(shop), mode);
+
+  // Persist/refresh a consent session if a checkout token is present
+  let sessionId = null;
+  if (checkoutToken) {
+    // What the buyer was shown before this request (the widget re-asks when the address changes)
+    const previous = await prisma.consentSession.findUnique({
+      where: { checkoutToken },
+      select: { mode: true, smsMode: true, country: true, countrySource: true, region: true },
+    });
+
+    const session = await prisma.consentSession.upsert({
+      where: { checkoutToken },
+      create: {
+        id: randomUUID(),
+        shop,
+        checkoutToken,
+        mode,
+        smsMode,
+        displayText,
+        experimentId,
+        variant,
+        smsDisplayText,
+        purposes,
+        privacyUrl,
+        marketingPreferences,
+        country: countryCode,
+        countrySource,
+        countrySignals: signals,
+        region,
+        customerType,
+        geoLookup,
+        ipCountry: signals.geo,
+        ipSource,
+        matrixVersionId: versionId,
+        decisionTrace: trace,
+        fallbackApplied,
+        locale,
+        buyerLocale,
+      },
+      update: {
+        mode,
+        smsMode,
+        displayText,
+        experimentId,
+        variant,
+        smsDisplayText,
+        purposes,
+        privacyUrl,
+        marketingPreferences,
+        country: countryCode,
+        countrySource,
+        countrySignals: signals,
+        region,
+        customerType,
+        geoLookup,
+        ipCountry: signals.geo,
+        ipSource,
+        matrixVersionId: versionId,
+        decisionTrace: trace,
+        fallbackApplied,
+        locale,
+        buyerLocale,
+      },
+      select: { id: true },
+    });
+    sessionId = session.id;
+
+    // Audit the switch: toggles made under the old mode no longer count (see orders webhook)
+    if (previous && (previous.mode !== mode || (previous.smsMode && previous.smsMode !== smsMode))) {
+      await prisma.consentEvent.create({
+        data: {
+          sessionId,
+          type: "mode_changed",
+          country: countryCode,
+          note: JSON.stringify({
+            source: "Checkout",
+            from: previous,
+            to: { mode, smsMode, country: countryCode, countrySource, region },
+          }),
+        },
+      });
+    }
+  }
+
+
+  return {
+    sessionId,
+    countryCode,
+    countrySource,
+    region,
+    mode,
+    smsMode,
+    locale,
+    displayText,
+    smsDisplayText,
+    purposes,
+    marketingPreferences,
+    privacyUrl,
+  };
+}
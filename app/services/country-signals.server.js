@@ -0,0 +1,61 @@
+// app/services/country-signals.server.js
+//
+// Where the buyer "is" comes from several signals that can disagree (VPN IP,
+// shipping abroad, a market picked in the storefront…). Each shop sets the
+// precedence; the first signal with a value wins and the rest are kept on the
+// session for audit.
+import { prisma } from "~/db.server";
+
+export const COUNTRY_SIGNALS = ["shipping", "billing", "localization", "geo"];
+export const DEFAULT_SIGNAL_ORDER = ["shipping", "billing", "localization", "geo"];
+
+export const SIGNAL_LABELS = {
+  shipping: "Checkout shipping address",
+  billing: "Checkout billing address",
+  localization: "Buyer market / localization",
+  geo: "IP geolocation (provider chain)",
+};
+
+const CODE_RE = /^[A-Z]{2}$/;
+
+function normCountry(x) {
+  const c = String(x || "").trim().toUpperCase();
+  // "XX" / "T1" are what Cloudflare sends for unknown / Tor
+  return CODE_RE.test(c) && c !== "XX" ? c : null;
+}
+
+// Stored as "shipping,billing,…"; unknown names dropped, duplicates ignored.
+// An empty/invalid value means the default order.
+export function parseSignalOrder(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  const out = [];
+  for (const s of list.map((x) => String(x).trim().toLowerCase())) {
+    if (COUNTRY_SIGNALS.includes(s) && !out.includes(s)) out.push(s);
+  }
+  return out.length ? out : [...DEFAULT_SIGNAL_ORDER];
+}
+
+export async function loadSignalOrder(shop) {
+  if (!shop) return [...DEFAULT_SIGNAL_ORDER];
+  const s = await prisma.appSettings.findUnique({
+    where: { shop },
+    select: { countrySignalOrder: true },
+  });
+  return parseSignalOrder(s?.countrySignalOrder);
+}
+
+/**
+ * Pick the country from the collected signals.
+ * @param {{ shipping?: string, billing?: string, localization?: string, geo?: string }} raw
+ * @param {string[]} order
+ * @returns {{ country: string|null, source: string|null, signals: Record<string, string|null> }}
+ */
+export function resolveCountry(raw, order = DEFAULT_SIGNAL_ORDER) {
+  const signals = {};
+  for (const name of COUNTRY_SIGNALS) signals[name] = normCountry(raw?.[name]);
+
+  for (const name of order) {
+    if (signals[name]) return { country: signals[name], source: name, signals };
+  }
+  return { country: null, source: null, signals };
+}
@@ -0,0 +1,172 @@
+// app/services/customer-type.server.js
+//
+// "single" (first order) vs "repeat" for the consent matrix. Checkout asks
+// before the order exists; the orders webhook asks after, when the count
+// already includes the new order.
+import { prisma } from "~/db.server";
+import { unauthenticated } from "~/shopify.server";
+
+const DBG = process.env.DEBUG_CUSTOMER_TYPE === "1";
+const dbg = (...args) => { if (DBG) console.log("[customer_type]", ...args); };
+
+const CUSTOMER_ORDERS_BY_ID = `#graphql
+  query($id: ID!) {
+    customer(id: $id) {
+      numberOfOrders
+    }
+  }
+`;
+
+const CUSTOMER_ORDERS_BY_EMAIL = `#graphql
+  query($query: String!) {
+    customers(first: 1, query: $query) {
+      nodes {
+        id
+        numberOfOrders
+      }
+    }
+  }
+`;
+
+// Checkout asks again on every address / country change: remember answers for a
+// few minutes per shop + email, and never let a slow Admin API hold the widget up
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const CACHE_MAX = 10_000;
+const ADMIN_TIMEOUT_MS = 1500;
+const cache = new Map(); // "shop|email" → { value, expiresAt }
+
+function cached(key) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  if (hit.expiresAt > Date.now()) return hit.value;
+  cache.delete(key);
+  return null;
+}
+
+function remember(key, value) {
+  // Oldest first out (Map keeps insertion order)
+  if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// `previousOrders` excludes the order being placed
+const typeFromPreviousOrders = (n) => (n > 0 ? "repeat" : "single");
+
+async function numberOfOrders(admin, { shopifyCustomerId, email }) {
+  if (shopifyCustomerId) {
+    const resp = await admin.graphql(CUSTOMER_ORDERS_BY_ID, {
+      variables: { id: `gid://shopify/Customer/${shopifyCustomerId}` },
+    });
+    const json = await resp.json();
+    const raw = json?.data?.customer?.numberOfOrders;
+    if (raw != null) return Number(raw);
+  }
+  if (email) {
+    const resp = await admin.graphql(CUSTOMER_ORDERS_BY_EMAIL, {
+      variables: { query: `email:"${email.replace(/"/g, "")}"` },
+    });
+    const json = await resp.json();
+    const raw = json?.data?.customers?.nodes?.[0]?.numberOfOrders;
+    if (raw != null) return Number(raw);
+  }
+  return null;
+}
+
+// Keep Customer.customerType current (only for customers we already know)
+async function rememberCustomerType(customer, type) {
+  if (!customer?.id || !type || customer.customerType === type) return;
+  try {
+    await prisma.customer.update({ where: { id: customer.id }, data: { customerType: type } });
+  } catch (e) {
+    dbg("customerType update failed (non-fatal)", e?.message || e);
+  }
+}
+
+/**
+ * Customer type at checkout time, before the order is created.
+ * Admin API order count first (authoritative), then our own order history.
+ * Answers are cached per shop + email for CACHE_TTL_MS; an Admin API call
+ * slower than ADMIN_TIMEOUT_MS falls back to our history (or null → "single").
+ * @returns {Promise<{ type: "single"|"repeat"|null, previousOrders: number|null, source: "admin"|"db"|null }>}
+ */
+export async function resolveCheckoutCustomerType({ shop, email }) {
+  if (!shop || !email) return { type: null, previousOrders: null, source: null };
+  const key = `${shop}|${email}`;
+  const hit = cached(key);
+  if (hit) return hit;
+
+  const customer = await prisma.customer.findUnique({
+    where: { shop_email: { shop, email } },
+    select: { id: true, shopifyCustomerId: true, customerType: true },
+  });
+
+  try {
+    const n = await withTimeout(
+      (async () => {
+        const { admin } = await unauthenticated.admin(shop);
+        return numberOfOrders(admin, { shopifyCustomerId: customer?.shopifyCustomerId, email });
+      })(),
+      ADMIN_TIMEOUT_MS
+    );
+    if (typeof n === "number" && !Number.isNaN(n)) {
+      const type = typeFromPreviousOrders(n);
+      await rememberCustomerType(customer, type);
+      return remember(key, { type, previousOrders: n, source: "admin" });
+    }
+  } catch (e) {
+    console.warn("[customer_type] Admin API lookup failed:", e?.message || e);
+  }
+
+  // Admin API unavailable or customer unknown to Shopify: orders we have seen
+  if (customer?.id) {
+    const n = await prisma.consentSession.count({
+      where: { shop, customerId: customer.id, orderId: { not: null } },
+    });
+    const type = typeFromPreviousOrders(n);
+    await rememberCustomerType(customer, type);
+    return remember(key, { type, previousOrders: n, source: "db" });
+  }
+
+  return { type: null, previousOrders: null, source: null };
+}
+
+/**
+ * Customer type for an orders/create payload (the count includes that order).
+ * @returns {Promise<{ count: number|null, type: "single"|"repeat"|null }>}
+ */
+export async function resolveOrderCustomerType(admin, payload) {
+  // 1) If webhook payload has orders_count, trust it
+  if (typeof payload?.customer?.orders_count === "number") {
+    const count = payload.customer.orders_count;
+    // NOTE: In orders/create, this count includes the order that just got created.
+    return { count, type: count > 1 ? "repeat" : "single" };
+  }
+
+  // 2) Try Admin GraphQL for canonical numberOfOrders
+  const numericId = payload?.customer?.id ? String(payload.customer.id) : null;
+  if (numericId) {
+    try {
+      const n = await numberOfOrders(admin, { shopifyCustomerId: numericId });
+      if (typeof n === "number" && !Number.isNaN(n)) {
+        return { count: n, type: n > 1 ? "repeat" : "single" };
+      }
+    } catch (e) {
+      console.warn("[orders] numberOfOrders fetch failed:", e?.message || e);
+    }
+  }
+
+  // 3) Unknown: guest checkout or lookup failed
+  dbg("numberOfOrders_by_admin - unknown");
+  return { count: null, type: null };
+}
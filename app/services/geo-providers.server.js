@@ -0,0 +1,157 @@
+// app/services/geo-providers.server.js
+//
+// IP geolocation as a chain of providers. Each shop orders the chain; the first
+// provider that locates the buyer wins, and every attempt is kept for audit.
+//
+// A provider is { id, label, locate({ headers, ip }) } where locate returns
+//   { country, region, confidence }  — located (confidence 0..1)
+//   { reason }                       — couldn't answer, and why
+//
+// Env:
+//   GEO_EDGE                 preset for the edge provider: cloudflare | vercel | cloudfront
+//   GEO_EDGE_COUNTRY_HEADER  or name the headers yourself (any other CDN / proxy)
+//   GEO_EDGE_REGION_HEADER
+//   GEO_STATIC_COUNTRY       static test provider, e.g. "DE"
+//   GEO_STATIC_REGION        optional, e.g. "DE-BY"
+//
+// Edge headers are only read when configured: without a CDN in front of the app
+// a buyer could send them themselves.
+import { prisma } from "~/db.server";
+import { lookupEdition, recordLookup } from "~/utils/geo.server.js";
+
+const EDGE_PRESETS = {
+  cloudflare: { country: "cf-ipcountry", region: "cf-region-code" },
+  vercel: { country: "x-vercel-ip-country", region: "x-vercel-ip-country-region" },
+  cloudfront: { country: "cloudfront-viewer-country", region: "cloudfront-viewer-country-region" },
+};
+
+function edgeHeaders() {
+  const preset = EDGE_PRESETS[String(process.env.GEO_EDGE || "").trim().toLowerCase()] || {};
+  return {
+    country: String(process.env.GEO_EDGE_COUNTRY_HEADER || preset.country || "").trim().toLowerCase() || null,
+    region: String(process.env.GEO_EDGE_REGION_HEADER || preset.region || "").trim().toLowerCase() || null,
+  };
+}
+
+// Whether the edge provider has headers to read (used by /api/health)
+export function isEdgeConfigured() {
+  return !!edgeHeaders().country;
+}
+
+const COUNTRY_RE = /^[A-Z]{2}$/;
+
+// "CA" + "US" → "US-CA"; already-qualified codes pass through
+function qualifyRegion(country, region) {
+  const r = String(region || "").trim().toUpperCase();
+  if (!country || !r) return null;
+  const full = r.startsWith(`${country}-`) ? r : `${country}-${r}`;
+  return /^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(full) ? full : null;
+}
+
+// Confidence is fixed per source. GeoLite is a free DB and less accurate than
+// the commercial data CDNs use; static is whatever you told it.
+const maxmind = (edition) => ({ ip }) => {
+  if (!ip) return { reason: "no client IP" };
+  const hit = lookupEdition(edition, ip);
+  if (hit.status !== "located") return { reason: hit.status };
+  return { country: hit.country, region: hit.region, confidence: 0.85 };
+};
+
+export const GEO_PROVIDERS = {
+  edge: {
+    id: "edge",
+    label: "Edge / CDN headers",
+    locate({ headers }) {
+      const names = edgeHeaders();
+      if (!names.country) return { reason: "not configured" };
+      const country = String(headers.get(names.country) || "").trim().toUpperCase();
+      // Cloudflare sends XX (unknown) and T1 (Tor)
+      if (!COUNTRY_RE.test(country) || country === "XX") return { reason: "no country header" };
+      const region = names.region ? qualifyRegion(country, headers.get(names.region)) : null;
+      return { country, region, confidence: 0.9 };
+    },
+  },
+  "maxmind-city": {
+    id: "maxmind-city",
+    label: "MaxMind GeoLite2 City",
+    locate: maxmind("GeoLite2-City"),
+  },
+  "maxmind-country": {
+    id: "maxmind-country",
+    label: "MaxMind GeoLite2 Country",
+    locate: maxmind("GeoLite2-Country"),
+  },
+  static: {
+    id: "static",
+    label: "Static (testing)",
+    locate() {
+      const country = String(process.env.GEO_STATIC_COUNTRY || "").trim().toUpperCase();
+      if (!COUNTRY_RE.test(country)) return { reason: "not configured" };
+      return { country, region: qualifyRegion(country, process.env.GEO_STATIC_REGION), confidence: 1 };
+    },
+  },
+};
+
+export const DEFAULT_PROVIDER_ORDER = ["edge", "maxmind-city", "maxmind-country"];
+
+// Stored as "edge,maxmind-city,…"; unknown ids dropped. Empty → default order.
+export function parseProviderOrder(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  const out = [];
+  for (const id of list.map((x) => String(x).trim().toLowerCase())) {
+    if (GEO_PROVIDERS[id] && !out.includes(id)) out.push(id);
+  }
+  return out.length ? out : [...DEFAULT_PROVIDER_ORDER];
+}
+
+export async function loadProviderOrder(shop) {
+  if (!shop) return [...DEFAULT_PROVIDER_ORDER];
+  const s = await prisma.appSettings.findUnique({
+    where: { shop },
+    select: { geoProviderOrder: true },
+  });
+  return parseProviderOrder(s?.geoProviderOrder);
+}
+
+/**
+ * Run the chain. The first provider that locates the buyer wins; a later
+ * provider that agrees on the country can still fill in a missing region.
+ * @param {{ headers: Headers, ip: string|null }} input
+ * @param {string[]} order
+ * @returns {{ country: string|null, region: string|null, provider: string|null,
+ *   confidence: number|null, attempts: object[] }}
+ */
+export function locateWithChain(input, order = DEFAULT_PROVIDER_ORDER) {
+  const attempts = [];
+  let result = null;
+
+  for (const id of order) {
+    const provider = GEO_PROVIDERS[id];
+    if (!provider) continue;
+    let out;
+    try {
+      out = provider.locate(input) || { reason: "no result" };
+    } catch (e) {
+      out = { reason: `error: ${e?.message || e}` };
+    }
+    attempts.push({ provider: id, ...out });
+
+    if (!out.country) continue;
+    if (!result) {
+      result = { country: out.country, region: out.region || null, provider: id, confidence: out.confidence ?? null };
+      if (result.region) break;
+    } else if (!result.region && out.region && out.country === result.country) {
+      result.region = out.region;
+      break;
+    }
+  }
+
+  // One counter bump per request: located, or why the MaxMind DBs couldn't help
+  const mm = attempts.filter((a) => a.provider.startsWith("maxmind-"));
+  if (result) recordLookup("located");
+  else if (mm.length && mm.every((a) => a.reason === "no_db")) recordLookup("no_db");
+  else if (mm.some((a) => a.reason === "not_public")) recordLookup("not_public");
+  else if (input.ip) recordLookup("not_found");
+
+  return { ...(result || { country: null, region: null, provider: null, confidence: null }), attempts };
+}
@@ -0,0 +1,195 @@
+// app/services/rate-limit.server.js
+//
+// Fixed-window rate limits for the public checkout endpoints, per shop and per
+// checkout. Counters live in a pluggable store: in process memory by default
+// (fine for one instance), or in the database when several instances share
+// the traffic. Throttling is logged once per key and window so an attack
+// can't turn into a write storm of its own.
+//
+// Env:
+//   RATE_LIMIT_STORE   "memory" (default) or "database"
+//   RATE_LIMIT_OFF     "1" disables limiting (local load tests)
+import { json } from "@remix-run/node";
+import { prisma } from "~/db.server";
+import { errorPayload } from "~/utils/cors.server";
+
+// Per endpoint: requests per window for the whole shop, and for one checkout.
+// A checkout re-asks privacy on every address change and posts a handful of
+// events per toggle, so the per-checkout numbers leave plenty of room.
+export const LIMITS = {
+  privacy: { windowMs: 60_000, shop: 1200, checkout: 30 },
+  event: { windowMs: 60_000, shop: 2400, checkout: 60 },
+};
+
+// Events one checkout session can ever store (impressions + toggles + clicks)
+export const MAX_EVENTS_PER_SESSION = 200;
+
+/* ---------------------------- stores ---------------------------- */
+
+/**
+ * A store counts hits per key in fixed windows.
+ * @typedef {{ hit(key: string, windowMs: number): Promise<{ count: number, resetAt: number }> }} RateLimitStore
+ */
+
+/**
+ * Counters in process memory. Expired windows are swept once a minute; at
+ * `maxKeys` the oldest windows are evicted (Map keeps insertion order, and a
+ * new window is re-inserted at the end), so client-made checkout tokens can't
+ * grow it without bound. An evicted key just starts a fresh window.
+ * @returns {RateLimitStore}
+ */
+export function memoryStore({ maxKeys = 50_000, sweepEveryMs = 60_000 } = {}) {
+  const buckets = new Map(); // key → { count, resetAt }
+  let nextSweep = 0;
+
+  const sweep = (now) => {
+    for (const [key, b] of buckets) if (b.resetAt <= now) buckets.delete(key);
+    nextSweep = now + sweepEveryMs;
+  };
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      if (now >= nextSweep) sweep(now);
+      let b = buckets.get(key);
+      if (!b || b.resetAt <= now) {
+        buckets.delete(key);
+        // Still full: drop the oldest (a tenth, so this isn't paid on every new key)
+        if (buckets.size >= maxKeys) {
+          let drop = Math.max(1, Math.floor(maxKeys / 10));
+          for (const k of buckets.keys()) {
+            buckets.delete(k);
+            if (--drop <= 0) break;
+          }
+        }
+        b = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, b);
+      }
+      b.count += 1;
+      return { count: b.count, resetAt: b.resetAt };
+    },
+  };
+}
+
+/**
+ * Shared counters in RateLimitBucket. Two instances racing on a fresh window
+ * can both start it at 1: off by one, never unbounded.
+ * @returns {RateLimitStore}
+ */
+export function databaseStore() {
+  return {
+    async hit(key, windowMs) {
+      const now = new Date();
+      const { count } = await prisma.rateLimitBucket.updateMany({
+        where: { key, resetAt: { gt: now } },
+        data: { count: { increment: 1 } },
+      });
+      if (!count) {
+        const resetAt = new Date(now.getTime() + windowMs);
+        await prisma.rateLimitBucket.upsert({
+          where: { key },
+          create: { key, count: 1, resetAt },
+          update: { count: 1, resetAt },
+        });
+        return { count: 1, resetAt: resetAt.getTime() };
+      }
+      const b = await prisma.rateLimitBucket.findUnique({ where: { key } });
+      return { count: b?.count ?? 1, resetAt: b ? b.resetAt.getTime() : now.getTime() + windowMs };
+    },
+  };
+}
+
+let store = process.env.RATE_LIMIT_STORE === "database" ? databaseStore() : memoryStore();
+
+/** Swap the store (e.g. for another shared backend). */
+export function setRateLimitStore(next) {
+  store = next;
+}
+
+/* ---------------------------- limiting ---------------------------- */
+
+async function logThrottle({ shop, endpoint, scope, subject, limit, resetAt, ip }) {
+  try {
+    await prisma.throttledRequest.create({
+      data: {
+        shop,
+        endpoint,
+        scope,
+        subject: subject ? String(subject).slice(0, 191) : null,
+        limit,
+        windowEndsAt: resetAt ? new Date(resetAt) : null,
+        ip: ip || null,
+      },
+    });
+  } catch (e) {
+    console.warn("[rate_limit] could not log throttle:", e?.message || e);
+  }
+}
+
+/**
+ * Count one request against the shop's and the checkout's budgets.
+ * @param {object} args
+ * @param {"privacy"|"event"} args.endpoint
+ * @param {string} args.shop
+ * @param {string=} args.checkout   checkout token or consent session id
+ * @param {string=} args.ip         only for the throttle log
+ * @returns {Promise<{ ok: true } | { ok: false, scope: "shop"|"checkout", retryAfter: number }>}
+ *   retryAfter in whole seconds
+ */
+export async function checkRateLimit({ endpoint, shop, checkout = null, ip = null }) {
+  if (process.env.RATE_LIMIT_OFF === "1") return { ok: true };
+  const cfg = LIMITS[endpoint];
+  if (!cfg) throw new Error(`No rate limit for ${endpoint}`);
+
+  // Checkout first: a checkout over its own budget is refused before it spends the
+  // shop's, so one noisy client can't get every buyer of the shop a 429
+  const checks = [];
+  if (checkout) {
+    checks.push({ scope: "checkout", subject: checkout, key: `${endpoint}:checkout:${shop}:${checkout}`, limit: cfg.checkout });
+  }
+  checks.push({ scope: "shop", subject: null, key: `${endpoint}:shop:${shop}`, limit: cfg.shop });
+
+  for (const c of checks) {
+    let result;
+    try {
+      result = await store.hit(c.key, cfg.windowMs);
+    } catch (e) {
+      // A broken store must not take checkout down with it
+      console.warn("[rate_limit] store failed, allowing:", e?.message || e);
+      return { ok: true };
+    }
+    if (result.count > c.limit) {
+      // First overflow of this window only
+      if (result.count === c.limit + 1) {
+        await logThrottle({ shop, endpoint, scope: c.scope, subject: c.subject, limit: c.limit, resetAt: result.resetAt, ip });
+      }
+      return { ok: false, scope: c.scope, retryAfter: Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000)) };
+    }
+  }
+  return { ok: true };
+}
+
+/** Record a session that hit MAX_EVENTS_PER_SESSION (once: the cap doesn't reset). */
+export async function logEventCap({ shop, sessionId, ip = null }) {
+  const already = await prisma.throttledRequest.findFirst({
+    where: { shop, endpoint: "event", scope: "session", subject: sessionId },
+    select: { id: true },
+  });
+  if (already) return;
+  await logThrottle({ shop, endpoint: "event", scope: "session", subject: sessionId, limit: MAX_EVENTS_PER_SESSION, resetAt: null, ip });
+}
+
+/**
+ * The 429 for a refused request. `cors` (from authenticate.public.*) sets its own
+ * Expose-Headers, so Retry-After is added after it or the widget can't read it.
+ */
+export function rateLimitedResponse(cors, retryAfter) {
+  const res = cors(
+    json(
+      errorPayload("RATE_LIMITED", "Too many requests"),
+      { status: 429, headers: { "Retry-After": String(retryAfter), "Cache-Control": "no-store" } }
+    )
+  );
+  res.headers.append("Access-Control-Expose-Headers", "Retry-After");
+  return res;
+}
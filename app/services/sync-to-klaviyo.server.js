@@ -34,6 +34,19 @@ function headers(key) {
   };
 }
 
+/**
+ * Lists in the account, as Select options.
+ * Docs: https://developers.klaviyo.com/en/reference/get_lists
+ * @returns {Promise<{ label: string, value: string }[]>}
+ */
+export async function fetchKlaviyoLists(key) {
+  const json = await fetchJson(`${KLAVIYO_API}/lists`, { headers: headers(key) });
+  return (json?.data || []).map((d) => ({
+    label: d?.attributes?.name || d?.id,
+    value: d?.id,
+  }));
+}
+
 // -------- klaviyo profile helpers (status-aware) --------
 /**
  * Look up a profile by email and return { id, email, status }
@@ -156,7 +169,15 @@ async function updateProfileTraits(key, profileId, {
 }
 
 // -------- klaviyo list subscribe/unsubscribe helpers --------
-async function subscribeProfiles(key, { listId, email, source, consent }, { rid }) {
+// Profile attributes for a list job: email channel by email, SMS channel by phone
+function jobProfile({ email, phone, channel = "email" }, subscriptions) {
+  const attributes = channel === "sms" ? { phone_number: phone } : { email };
+  if (email && channel === "sms") attributes.email = email; // keeps the SMS consent on the same profile
+  if (subscriptions) attributes.subscriptions = subscriptions;
+  return { type: "profile", attributes };
+}
+
+async function subscribeProfiles(key, { listId, email, phone, channel = "email", source, consent }, { rid }) {
   // Klaviyo bulk-create supports setting marketing consent state.
   // Consent metadata fields vary; we at least send consent state + custom_source.
   const body = {
@@ -166,19 +187,13 @@ async function subscribeProfiles(key, { listId, email, source, consent }, { rid
         custom_source: source || "Checkout",
         profiles: {
           data: [
-            {
-              type: "profile",
-              attributes: {
-                email,
-                subscriptions: {
-                  email: {
-                    marketing: {
-                      consent: "SUBSCRIBED",
-                    },
-                  },
+            jobProfile({ email, phone, channel }, {
+              [channel]: {
+                marketing: {
+                  consent: "SUBSCRIBED",
                 },
               },
-            },
+            }),
           ],
         },
       },
@@ -191,11 +206,11 @@ async function subscribeProfiles(key, { listId, email, source, consent }, { rid
   }, { rid });
 }
 
-async function unsubscribeProfiles(key, { listId, email, source }, { rid }) {
+async function unsubscribeProfiles(key, { listId, email, phone, channel = "email", source }, { rid }) {
   const body = {
     data: {
       type: "profile-subscription-bulk-delete-job",
-      attributes: { profiles: { data: [{ type: "profile", attributes: { email } }] } },
+      attributes: { profiles: { data: [jobProfile({ email, phone, channel })] } },
       relationships: { list: { data: { type: "list", id: listId } } }
     }
   };
@@ -205,63 +220,59 @@ async function unsubscribeProfiles(key, { listId, email, source }, { rid }) {
   }, { rid });
 }
 
-// -------- consent matrix lookup (country + customer_type) --------
-function normCode(x){ return String(x||"").toUpperCase(); }
-function normType(x){
-  const s = String(x||"").toLowerCase();
-  if (s === "single" || s === "first" || s === "first_time" || s === "first-time") return "single";
-  if (s === "repeat" || s === "returning") return "repeat";
-  return null;
-}
-function chooseRow(rows, code, customerType){
-  const c = normCode(code);
-  const t = normType(customerType);
-  // matches on code fields we’ve seen used
-  const codeMatch = (r) => [r.country_code, r.countryCode]
-    .map(normCode).includes(c);
-  const typeMatch = (r) => {
-    const rt = normType(r.customer_type || r.customerType);
-    if (!t && !rt) return true;              // neither specified
-    if (!t && rt)  return false;             // row has type but caller doesn't
-    if (t && !rt)  return true;              // row has no type → acts as default
-    return rt === t;                          // both specified → must match
-  };
-  const candidates = rows.filter(codeMatch).filter(typeMatch);
-  if (!candidates.length) return null;
-  // prefer exact type match if available, else a row without type (default)
-  const exact = candidates.find(r => normType(r.customer_type || r.customerType) === t);
-  if (exact) return exact;
-  const deflt = candidates.find(r => !normType(r.customer_type || r.customerType));
-  return deflt || candidates[0];
+// -------- consent decision (same resolver as the checkout widget) --------
+async function resolveEmailMethod({ shop, countryCode, regionCode, customerType }, { rid }) {
+  try {
+    const { resolveConsentDecision } = await import("~/services/consent-decision.server");
+    const { emailMethod, trace } = await resolveConsentDecision({
+      shop,
+      countryCode,
+      region: regionCode,
+      customerType,
+    });
+    dbg(rid, "decision", trace);
+    return emailMethod;
+  } catch (e) {
+    dbg(rid, "decision failed", e?.message || e);
+    return null;
+  }
 }
 
-async function resolveEmailMethodFromMatrix(countryCode, customerType, { rid }) {
-  if (!countryCode) return null;
+/**
+ * Decide what a sync would do, without calling Klaviyo or writing anything.
+ * Used by syncKlaviyoForCustomer and the admin simulator.
+ * @returns {Promise<{ skip: string|null, method: "SOI"|"DOI"|null, targetListId: string|null,
+ *   targetList: "single"|"double"|null, singleList: string|null, doubleList: string|null,
+ *   optInLevel: string, hasKey: boolean }>}
+ */
+export async function planKlaviyoSync(
+  { shop, subscribed, countryCode, regionCode, customerType },
+  { rid = randomUUID().slice(0, 8), settings } = {}
+) {
+  if (settings === undefined) settings = await prisma.klaviyoSettings.findUnique({ where: { shop } });
+  const hasKey = !!settings?.encryptedKey;
+  const singleList = settings?.singleOptListId || null;
+  const doubleList = settings?.doubleOptListId || null;
+
+  // Decide SOI/DOI via the shared resolver (country + region + customer_type).
+  // No decision (resolver failed) → no list guessed, a subscribe is skipped
+  const method = await resolveEmailMethod({ shop, countryCode, regionCode, customerType }, { rid });
+  const optInLevel = method === "DOI" ? "CONFIRMED_OPT_IN" : "SINGLE_OPT_IN";
 
-  // Prefer a helper if you’ve exposed one
-  try {
-    const mod = await import("~/services/consent-matrix.server");
-    const fn = mod.getEmailMethodFor || mod.getEmailMethodForCountry || null;
-    if (fn) {
-      const v = (await fn(normCode(countryCode), normType(customerType))) || "";
-      const u = v.toUpperCase();
-      if (u === "SOI" || u === "DOI") { dbg(rid, "matrix helper", countryCode, customerType, u); return u; }
-    }
-  } catch { /* ignore */ }
+  let targetListId = null;
+  if (subscribed === true) {
+    if (method === "DOI")      targetListId = doubleList || singleList;
+    else if (method === "SOI") targetListId = singleList || doubleList;
+  }
+  const targetList = !targetListId ? null : targetListId === doubleList ? "double" : "single";
 
-  // Fallback: read the JSON directly
-  try {
-    const matrix = (await import("~/data/consent_matrix.json")).default;
-    const row = chooseRow(matrix || [], countryCode, customerType);
-    const method = String(row?.email_method || row?.emailMethod || "").toUpperCase();
-    if (method === "SOI" || method === "DOI") {
-      dbg(rid, "matrix json", countryCode, customerType, method);
-      return method;
-    }
-  } catch { /* ignore */ }
+  let skip = null;
+  if (!hasKey) skip = "no klaviyo key";
+  else if (typeof subscribed !== "boolean") skip = "no subscribe state";
+  else if (subscribed && !method) skip = "no consent decision";
+  else if (subscribed && !targetListId) skip = "no list configured";
 
-  dbg(rid, "matrix not found", countryCode, customerType);
-  return null;
+  return { skip, method, targetListId, targetList, singleList, doubleList, optInLevel, hasKey };
 }
 
 /**
@@ -274,6 +285,7 @@ async function resolveEmailMethodFromMatrix(countryCode, customerType, { rid })
  * @param {boolean=} args.subscribed
  * @param {"OPT_IN"|"OPT_OUT"|"NO_CHECKBOX"=} args.sessionMode
  * @param {string=} args.countryCode      // e.g. "GB"
+ * @param {string=} args.regionCode       // e.g. "US-CA" (regional matrix rules)
  * @param {"single"|"repeat"} [args.customerType]
  * @param {object=} args.consentEvidence  // optional, but recommended
  *   // { explicitToggle?: boolean, doiConfirmed?: boolean, optInLevel?: "SINGLE_OPT_IN"|"CONFIRMED_OPT_IN",
@@ -289,6 +301,7 @@ export async function syncKlaviyoForCustomer(args) {
     subscribed,
     sessionMode,
     countryCode,
+    regionCode,
     customerType,
     consentEvidence = {},
   } = args;
@@ -297,25 +310,15 @@ export async function syncKlaviyoForCustomer(args) {
   if (!email) return;
 
   const settings = await prisma.klaviyoSettings.findUnique({ where: { shop } });
-  if (!settings?.encryptedKey) { dbg(rid, "no klaviyo key → abort"); return; }
+  const plan = await planKlaviyoSync(
+    { shop, subscribed, countryCode, regionCode, customerType },
+    { rid, settings }
+  );
+  if (plan.skip) { dbg(rid, plan.skip, "→ abort"); return; }
 
   const apiKey = dec(settings.encryptedKey);
-  const singleList = settings.singleOptListId || null;
-  const doubleList = settings.doubleOptListId || null;
-  dbg(rid, "have key", mask(apiKey), { singleList, doubleList });
-
-  // If we don't have a definite boolean, we don't touch subscription state
-  if (typeof subscribed !== "boolean") { dbg(rid, "no subscribe state → abort"); return; }
-
-  // Decide SOI/DOI via matrix (country + customer_type). If unknown, fallback to sessionMode.
-  const method = await resolveEmailMethodFromMatrix(countryCode, customerType, { rid });
-  let targetListId = null;
-  if (subscribed) {
-    if (method === "DOI")      targetListId = doubleList || singleList;
-    else if (method === "SOI") targetListId = singleList || doubleList;
-    else                       targetListId = sessionMode === "OPT_IN" ? (doubleList || singleList) : (singleList || doubleList);
-    if (!targetListId) { dbg(rid, "no list configured → abort"); return; }
-  }
+  const { singleList, doubleList, method, targetListId } = plan;
+  dbg(rid, "have key", mask(apiKey), { singleList, doubleList, method, targetListId });
 
   // Find or create the profile first
   let profile = await getProfileByEmail(apiKey, email, { rid });
@@ -333,7 +336,7 @@ export async function syncKlaviyoForCustomer(args) {
 
   // Decide whether we have explicit consent strong enough to lift suppression
   const explicitConsent = !!(consentEvidence.explicitToggle || consentEvidence.doiConfirmed);
-  const optInLevel = consentEvidence.optInLevel || (method === "DOI" ? "CONFIRMED_OPT_IN" : "SINGLE_OPT_IN");
+  const optInLevel = consentEvidence.optInLevel || plan.optInLevel;
   const consent = {
     timestamp: consentEvidence.timestamp || new Date().toISOString(),
     optInLevel,
@@ -377,3 +380,98 @@ export async function syncKlaviyoForCustomer(args) {
     console.warn("[klaviyo]", rid, "sync failed", { shop, email, error: e?.message || String(e) });
   }
 }
+
+/**
+ * Sync a customer's SMS consent to the Klaviyo SMS list. SMS has one list (no
+ * SOI/DOI split): Klaviyo sends its own confirmation text where the account
+ * requires it.
+ * @param {object} args
+ * @param {string} args.shop
+ * @param {string} args.phone            // E.164, e.g. "+447700900123"
+ * @param {string=} args.email           // ties the SMS consent to the email profile
+ * @param {boolean=} args.subscribed
+ * @param {"OPT_IN"|"OPT_OUT"|"NO_CHECKBOX"=} args.sessionMode  // the SMS checkbox mode shown
+ */
+export async function syncKlaviyoSmsForCustomer({ shop, phone, email, subscribed, sessionMode }) {
+  const rid = randomUUID().slice(0, 8);
+  dbg(rid, "sms sync start", { shop, phone: mask(phone), subscribed, sessionMode });
+  if (!phone || typeof subscribed !== "boolean") return;
+
+  const settings = await prisma.klaviyoSettings.findUnique({ where: { shop } });
+  if (!settings?.encryptedKey) { dbg(rid, "no klaviyo key → abort"); return; }
+  if (!settings.smsListId) { dbg(rid, "no SMS list configured → abort"); return; }
+
+  const apiKey = dec(settings.encryptedKey);
+  try {
+    if (subscribed) {
+      const source =
+        sessionMode === "OPT_OUT" ? "Checkout SMS (opt-out shown)" :
+        sessionMode === "OPT_IN"  ? "Checkout SMS (opt-in shown)"  :
+                                    "Checkout SMS (no checkbox)";
+      await subscribeProfiles(apiKey, { listId: settings.smsListId, email, phone, channel: "sms", source }, { rid });
+      dbg(rid, "sms subscribed to", settings.smsListId);
+    } else {
+      await unsubscribeProfiles(apiKey, { listId: settings.smsListId, email, phone, channel: "sms" }, { rid });
+      dbg(rid, "sms unsubscribed from", settings.smsListId);
+    }
+  } catch (e) {
+    console.warn("[klaviyo]", rid, "sms sync failed", { shop, error: e?.message || String(e) });
+  }
+}
+
+/**
+ * Sync changed consent purposes: list membership (add / remove) and/or a boolean
+ * profile property per purpose, as mapped on the purposes page.
+ * @param {object} args
+ * @param {string} args.shop
+ * @param {string} args.email
+ * @param {{ purpose: { key: string, klaviyoListId?: string|null, klaviyoProperty?: string|null },
+ *   subscribed: boolean }[]} args.changes
+ */
+export async function syncKlaviyoPurposes({ shop, email, changes }) {
+  const rid = randomUUID().slice(0, 8);
+  const mapped = (changes || []).filter((c) => c.purpose?.klaviyoListId || c.purpose?.klaviyoProperty);
+  dbg(rid, "purposes sync start", { shop, email, purposes: mapped.map((c) => c.purpose.key) });
+  if (!email || !mapped.length) return;
+
+  const settings = await prisma.klaviyoSettings.findUnique({ where: { shop } });
+  if (!settings?.encryptedKey) { dbg(rid, "no klaviyo key → abort"); return; }
+  const apiKey = dec(settings.encryptedKey);
+
+  try {
+    const properties = {};
+    for (const { purpose, subscribed } of mapped) {
+      if (purpose.klaviyoProperty) properties[purpose.klaviyoProperty] = subscribed;
+    }
+    const profileId = await ensureProfile(apiKey, { email }, { rid });
+    if (!profileId) { dbg(rid, "no profile → abort"); return; }
+
+    if (Object.keys(properties).length) {
+      await fetchJson(`${KLAVIYO_API}/profiles/${profileId}`, {
+        method: "PATCH",
+        headers: headers(apiKey),
+        body: JSON.stringify({ data: { type: "profile", id: profileId, attributes: { properties } } }),
+      }, { rid });
+      dbg(rid, "purpose properties set", properties);
+    }
+
+    // List membership only: the subscribe/unsubscribe bulk jobs also set the
+    // profile's email marketing consent, which a purpose must never touch
+    // (a buyer can decline email and still tick a purpose)
+    for (const { purpose, subscribed } of mapped) {
+      if (!purpose.klaviyoListId) continue;
+      try {
+        await fetchJson(`${KLAVIYO_API}/lists/${purpose.klaviyoListId}/relationships/profiles`, {
+          method: subscribed ? "POST" : "DELETE",
+          headers: headers(apiKey),
+          body: JSON.stringify({ data: [{ type: "profile", id: profileId }] }),
+        }, { rid });
+        dbg(rid, subscribed ? "added to purpose list" : "removed from purpose list", purpose.key);
+      } catch (e) {
+        dbg(rid, "purpose list op failed", purpose.key, e?.message || e);
+      }
+    }
+  } catch (e) {
+    console.warn("[klaviyo]", rid, "purposes sync failed", { shop, email, error: e?.message || String(e) });
+  }
+}
@@ -0,0 +1,77 @@
+// app/services/widget-api.server.js
+//
+// Plumbing for the versioned public widget API (/api/v1/...). The version lives
+// in the path: a release that needs an incompatible request or response adds
+// /api/v2 routes next to these, and /api/v1 keeps answering widgets already
+// installed in checkouts. Within v1, fields are only ever added.
+import { authenticate } from "~/shopify.server";
+import { apiError, okJson, preflight } from "~/utils/cors.server";
+
+export const API_VERSION = 1;
+
+const VERSION_HEADER = { "X-Consent-Api-Version": String(API_VERSION) };
+
+// Normalize "dest" → "mystore.myshopify.com"
+export function shopFromDest(dest) {
+  if (!dest) return "";
+  try {
+    return new URL(dest).host;
+  } catch (_) {
+    return String(dest).replace(/^https?:\/\//, "");
+  }
+}
+
+// Canonical backend origin; the widget posts events here (if it's on its allowlist)
+export function appOrigin() {
+  try {
+    return new URL(process.env.SHOPIFY_APP_URL || "").origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verify the checkout session token. Failures come back as the shared error
+ * body (the library's own 401 has no body and no CORS headers, so the widget
+ * couldn't even read it).
+ * @returns {Promise<{ shop: string } | { response: Response }>}
+ */
+export async function authenticateWidget(request) {
+  try {
+    const { sessionToken } = await authenticate.public.checkout(request);
+    const shop = shopFromDest(sessionToken?.dest);
+    if (!shop) return { response: apiError(401, "UNAUTHORIZED", "Session token has no shop", { headers: VERSION_HEADER }) };
+    return { shop };
+  } catch (e) {
+    if (!(e instanceof Response)) throw e;
+    if (e.status === 401) {
+      return { response: apiError(401, "UNAUTHORIZED", "Missing or invalid session token", { headers: VERSION_HEADER }) };
+    }
+    return { response: apiError(e.status || 400, "REJECTED", "Request rejected", { headers: VERSION_HEADER }) };
+  }
+}
+
+/** Parsed JSON body, or undefined when it isn't JSON (the schema then reports INVALID_JSON). */
+export async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return undefined;
+  }
+}
+
+export function v1Ok(data, status = 200) {
+  return okJson({ ok: true, apiVersion: API_VERSION, ...data }, { status, headers: VERSION_HEADER });
+}
+
+/** Error response; a 429 also gets Retry-After. */
+export function v1Error({ status, code, error, details, retryAfter }) {
+  const headers = { ...VERSION_HEADER, ...(retryAfter ? { "Retry-After": String(retryAfter) } : {}) };
+  return apiError(status, code, error, { details, headers });
+}
+
+export function v1MethodNotAllowed() {
+  return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed", { headers: VERSION_HEADER });
+}
+
+export { preflight };
@@ -1,7 +1,14 @@
+// app/utils/cors.server.js
+//
+// CORS and response shapes for the public widget API. Errors always look like
+// { ok: false, code, error, details? }: `code` is stable for clients to branch
+// on, `error` is for humans, `details` lists per-field problems.
 export const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*", // ok because you are not using credentials
   "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
   "Access-Control-Allow-Headers": "Authorization, Content-Type, X-Checkout-Token",
+  // Without this the widget can't read how long to back off after a 429, or the API version
+  "Access-Control-Expose-Headers": "Retry-After, X-Consent-Api-Version",
   "Access-Control-Max-Age": "600",
 };
 
@@ -9,16 +16,26 @@ export function preflight() {
   return new Response(null, { status: 204, headers: CORS_HEADERS });
 }
 
-export function okJson(data) {
+export function okJson(data, { status = 200, headers = {} } = {}) {
   return new Response(JSON.stringify(data), {
-    status: 200,
-    headers: { "Content-Type": "application/json", ...CORS_HEADERS },
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...CORS_HEADERS, ...headers },
   });
 }
 
-export function errJson(status, data) {
+export function errJson(status, data, headers = {}) {
   return new Response(JSON.stringify(data), {
     status,
-    headers: { "Content-Type": "application/json", ...CORS_HEADERS },
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...CORS_HEADERS, ...headers },
   });
 }
+
+/** The error body every public endpoint returns. */
+export function errorPayload(code, error, details) {
+  return details && details.length ? { ok: false, code, error, details } : { ok: false, code, error };
+}
+
+/** errJson with the shared error body. */
+export function apiError(status, code, error, { details, headers } = {}) {
+  return errJson(status, errorPayload(code, error, details), headers);
+}
@@ -1,33 +1,167 @@
 // app/utils/geo.server.js
 import { Reader } from "@maxmind/geoip2-node";
-import { readFileSync } from "node:fs";
+import { readFile, stat } from "node:fs/promises";
 import { join } from "node:path";
+import { parseIp, isPublicIp } from "~/utils/ip.server.js";
 
-let reader; // undefined = not initialised, null = failed/no DB
+const EDITIONS = ["GeoLite2-Country", "GeoLite2-City"];
 
-export function initGeo() {
-  if (reader === undefined) {
+// How often we stat the .mmdb file to notice a replaced DB (and retry a missing one)
+const CHECK_INTERVAL_MS = Number(process.env.GEO_RELOAD_CHECK_MS || 60_000);
+// GeoLite2 is rebuilt twice a week; older than this is reported as stale
+const STALE_AFTER_DAYS = Number(process.env.GEO_STALE_DAYS || 14);
+
+// edition → { reader, path, mtimeMs, loadedAt, buildEpoch, error, checkedAt }
+const readers = {};
+
+// Lookup counters since process start (reported on the status card / health endpoint)
+const counters = {
+  since: new Date(),
+  lookups: 0,
+  located: 0,
+  skippedNoDb: 0,     // no usable DB → geolocation skipped
+  skippedPrivate: 0,  // private / reserved / unparseable address
+  notFound: 0,        // DB loaded but address not in it
+};
+
+const dbPath = (edition) => join(process.cwd(), "geoipdb", `${edition}.mmdb`);
+
+// geoip2-node doesn't expose the DB metadata; the underlying mmdb reader has it
+function buildEpochOf(reader) {
+  const epoch = reader?.mmdbReader?.metadata?.buildEpoch;
+  return epoch instanceof Date && !Number.isNaN(epoch.getTime()) ? epoch : null;
+}
+
+const entryFor = (edition) =>
+  readers[edition] || (readers[edition] = { reader: null, path: dbPath(edition), checkedAt: 0 });
+
+// Stat the file and (re)open it when it changed. Async, and only ever run from
+// the timer below, so a request never waits on the disk
+async function refresh(edition) {
+  const entry = entryFor(edition);
+  entry.checkedAt = Date.now();
+
+  let mtimeMs;
+  try {
+    mtimeMs = (await stat(entry.path)).mtimeMs;
+  } catch (err) {
+    // Keep serving a reader we already have; only report the file as gone
+    if (!entry.error) console.warn(`[geo] ${edition} DB not available:`, err?.code || err?.message);
+    entry.error = err?.code || err?.message || "unavailable";
+    return;
+  }
+  if (entry.reader && entry.mtimeMs === mtimeMs) return;
+
+  try {
+    const reader = Reader.openBuffer(await readFile(entry.path));
+    const reloaded = !!entry.reader;
+    Object.assign(entry, {
+      reader,
+      mtimeMs,
+      loadedAt: new Date(),
+      buildEpoch: buildEpochOf(reader),
+      error: null,
+    });
+    console.log(`[geo] ${reloaded ? "reloaded" : "loaded"}:`, entry.path, entry.buildEpoch?.toISOString() || "");
+  } catch (err) {
+    // Half-written file during an update: keep the old reader, try again next interval
+    console.warn(`[geo] ${edition} DB failed to load:`, err?.message || err);
+    entry.error = err?.message || "failed to load";
+  }
+}
+
+let firstLoad = null;
+let refreshing = false;
+
+// First load, then a check every CHECK_INTERVAL_MS for a replaced / newly added file
+function watch() {
+  if (firstLoad) return firstLoad;
+  firstLoad = Promise.all(EDITIONS.map(refresh));
+  const timer = setInterval(async () => {
+    if (refreshing) return; // a slow disk: don't stack reads
+    refreshing = true;
     try {
-      const dbPath = join(process.cwd(), "geoipdb", "GeoLite2-Country.mmdb");
-      const buf = readFileSync(dbPath);
-      reader = Reader.openBuffer(buf);
-      console.log("[geo] loaded:", dbPath);
-    } catch (err) {
-      console.warn("[geo] GeoLite2 DB not available:", err?.code || err?.message);
-      reader = null; // remember failure so we don't retry every request
+      await Promise.all(EDITIONS.map(refresh));
+    } finally {
+      refreshing = false;
     }
-  }
-  return reader;
+  }, CHECK_INTERVAL_MS);
+  timer.unref?.(); // don't keep the process alive for this
+  return firstLoad;
+}
+
+// Start loading as soon as the module is imported, so the first checkout finds the DB
+watch();
+
+/** Resolves once the first load attempt of every edition has finished. */
+export function initGeo() {
+  return watch();
+}
+
+const COUNTER_FOR = {
+  located: "located",
+  no_db: "skippedNoDb",
+  not_public: "skippedPrivate",
+  not_found: "notFound",
+};
+
+// Count one request's geolocation outcome (once per request, not per DB tried)
+export function recordLookup(status) {
+  counters.lookups++;
+  if (COUNTER_FOR[status]) counters[COUNTER_FOR[status]]++;
 }
 
-export function countryFromIp(ip) {
-  if (!ip) return undefined;
-  if (/^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[0-1])\.|::1|fc00:|fe80:)/i.test(ip)) return undefined;
+/**
+ * Look an IP up in one DB edition. Doesn't touch the counters.
+ * @returns {{ status: "located"|"no_db"|"not_public"|"not_found", country?: string, region?: string|null }}
+ */
+export function lookupEdition(edition, ip) {
+  const parsed = parseIp(ip);
+  if (!isPublicIp(parsed)) return { status: "not_public" };
+
+  const reader = readers[edition]?.reader;
+  if (!reader) return { status: "no_db" };
+
+  // parsed.text: "::ffff:1.2.3.4" → "1.2.3.4", ports/zones stripped
+  try {
+    if (edition === "GeoLite2-City") {
+      const node = reader.city(parsed.text);
+      const country = node?.country?.isoCode;
+      const sub = node?.subdivisions?.[0]?.isoCode;
+      return country ? { status: "located", country, region: sub ? `${country}-${sub}` : null } : { status: "not_found" };
+    }
+    const country = reader.country(parsed.text)?.country?.isoCode;
+    return country ? { status: "located", country, region: null } : { status: "not_found" };
+  } catch {
+    return { status: "not_found" }; // address not in DB
+  }
+}
 
-  const r = initGeo();
-  if (!r) return undefined;
+/**
+ * DB load state + counters, for the admin status card and /api/health.
+ * `ok` is true when at least one DB that can answer country lookups is loaded.
+ * Read-only: reports what the timer last loaded, never touches the disk.
+ */
+export function getGeoStatus() {
+  const now = Date.now();
+  const databases = EDITIONS.map((edition) => {
+    const e = readers[edition] || {};
+    const ageDays = e.buildEpoch ? Math.floor((now - e.buildEpoch.getTime()) / 86_400_000) : null;
+    return {
+      edition,
+      loaded: !!e.reader,
+      path: e.path || dbPath(edition),
+      buildEpoch: e.buildEpoch?.toISOString() || null,
+      loadedAt: e.loadedAt?.toISOString() || null,
+      ageDays,
+      stale: ageDays != null && ageDays > STALE_AFTER_DAYS,
+      error: e.error || null,
+    };
+  });
 
-  const clean = ip.replace(/^::ffff:/, "");
-  const node = r.country(clean);
-  return node?.country?.isoCode;
+  return {
+    ok: databases.some((d) => d.loaded),
+    databases,
+    counters: { ...counters, since: counters.since.toISOString() },
+  };
 }
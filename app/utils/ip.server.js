@@ -0,0 +1,200 @@
+// app/utils/ip.server.js
+//
+// Client IP extraction that a buyer can't spoof, plus IPv4/IPv6 range checks.
+//
+// Env:
+//   TRUSTED_PROXIES   comma-separated IPs / CIDRs of proxies in front of the app
+//                     (e.g. a CDN's ranges). X-Forwarded-For is read right to left
+//                     and these hops are skipped; the first untrusted hop is the client.
+//                     Our own edge (Railway, Fly…) appends the rightmost entry, so with
+//                     an empty list the rightmost entry is used.
+//   CLIENT_IP_HEADER  optional single-value header set by a trusted edge
+//                     (e.g. "cf-connecting-ip"). Only enable it when every request
+//                     goes through that edge, otherwise callers can set it themselves.
+
+/* global BigInt */
+
+/* ---------------------------- parsing ---------------------------- */
+
+function parseV4(s) {
+  const parts = s.split(".");
+  if (parts.length !== 4) return null;
+  let n = 0n;
+  for (const p of parts) {
+    if (!/^\d{1,3}$/.test(p) || Number(p) > 255) return null;
+    n = (n << 8n) | BigInt(p);
+  }
+  return n;
+}
+
+function parseV6(s) {
+  let str = s;
+  // Embedded IPv4 tail ("::ffff:1.2.3.4", "64:ff9b::1.2.3.4")
+  const v4Tail = str.match(/(\d{1,3}(?:\.\d{1,3}){3})$/);
+  if (v4Tail) {
+    const v4 = parseV4(v4Tail[1]);
+    if (v4 == null) return null;
+    str = str.slice(0, -v4Tail[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const halves = str.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill("0"), ...tail];
+  let n = 0n;
+  for (const g of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(g)) return null;
+    n = (n << 16n) | BigInt(parseInt(g, 16));
+  }
+  return n;
+}
+
+/**
+ * Parse an address as it shows up in headers: "1.2.3.4", "1.2.3.4:5678",
+ * "[2001:db8::1]:443", "fe80::1%eth0". IPv4-mapped IPv6 is returned as IPv4.
+ * @returns {{ version: 4|6, value: bigint, text: string } | null}
+ */
+export function parseIp(raw) {
+  let s = String(raw || "").trim();
+  if (!s) return null;
+
+  const bracketed = s.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) s = bracketed[1];
+  else if (/^\d{1,3}(\.\d{1,3}){3}:\d+$/.test(s)) s = s.replace(/:\d+$/, "");
+  s = s.replace(/%.*$/, ""); // zone id
+
+  if (s.includes(":")) {
+    const value = parseV6(s);
+    if (value == null) return null;
+    // ::ffff:a.b.c.d → a.b.c.d
+    if (value >> 32n === 0xffffn) {
+      const v4 = value & 0xffffffffn;
+      return { version: 4, value: v4, text: v4ToText(v4) };
+    }
+    return { version: 6, value, text: s.toLowerCase() };
+  }
+
+  const value = parseV4(s);
+  return value == null ? null : { version: 4, value, text: s };
+}
+
+function v4ToText(n) {
+  return [24n, 16n, 8n, 0n].map((shift) => String((n >> shift) & 0xffn)).join(".");
+}
+
+/* ------------------------------ CIDR ------------------------------ */
+
+/** @returns {{ version: 4|6, network: bigint, mask: bigint } | null} */
+export function parseCidr(raw) {
+  const [addr, bitsRaw] = String(raw || "").trim().split("/");
+  const ip = parseIp(addr);
+  if (!ip) return null;
+  const width = ip.version === 4 ? 32 : 128;
+  const bits = bitsRaw === undefined ? width : Number(bitsRaw);
+  if (!Number.isInteger(bits) || bits < 0 || bits > width) return null;
+
+  const all = (1n << BigInt(width)) - 1n;
+  const mask = bits === 0 ? 0n : (all << BigInt(width - bits)) & all;
+  return { version: ip.version, network: ip.value & mask, mask };
+}
+
+function matches(ip, cidr) {
+  return ip.version === cidr.version && (ip.value & cidr.mask) === cidr.network;
+}
+
+export function inAnyCidr(ip, cidrs) {
+  const parsed = typeof ip === "string" ? parseIp(ip) : ip;
+  return !!parsed && cidrs.some((c) => matches(parsed, c));
+}
+
+/* ------------------- special-purpose address space ------------------- */
+
+// IANA IPv4 / IPv6 Special-Purpose Address Registries (RFC 6890 and updates):
+// nothing in here can be geolocated to a buyer.
+const NON_PUBLIC = [
+  "0.0.0.0/8",          // "this network"
+  "10.0.0.0/8",         // RFC 1918
+  "100.64.0.0/10",      // CGNAT shared space (RFC 6598)
+  "127.0.0.0/8",        // loopback
+  "169.254.0.0/16",     // link-local
+  "172.16.0.0/12",      // RFC 1918
+  "192.0.0.0/24",       // IETF protocol assignments
+  "192.0.2.0/24",       // TEST-NET-1
+  "192.31.196.0/24",    // AS112-v4
+  "192.52.193.0/24",    // AMT
+  "192.88.99.0/24",     // deprecated 6to4 relay anycast
+  "192.168.0.0/16",     // RFC 1918
+  "192.175.48.0/24",    // direct delegation AS112
+  "198.18.0.0/15",      // benchmarking
+  "198.51.100.0/24",    // TEST-NET-2
+  "203.0.113.0/24",     // TEST-NET-3
+  "224.0.0.0/4",        // multicast
+  "240.0.0.0/4",        // reserved + limited broadcast
+  "::/128",             // unspecified
+  "::1/128",            // loopback
+  "64:ff9b:1::/48",     // local-use NAT64
+  "100::/64",           // discard-only
+  "2001::/23",          // IETF protocol assignments (Teredo, benchmarking, ORCHID…)
+  "2001:db8::/32",      // documentation
+  "3fff::/20",          // documentation
+  "5f00::/16",          // SRv6 SIDs
+  "fc00::/7",           // unique local
+  "fe80::/10",          // link-local
+  "fec0::/10",          // deprecated site-local
+  "ff00::/8",           // multicast
+].map(parseCidr);
+
+/** True for addresses that are routable on the public internet. */
+export function isPublicIp(raw) {
+  const ip = typeof raw === "string" ? parseIp(raw) : raw;
+  return !!ip && !NON_PUBLIC.some((c) => matches(ip, c));
+}
+
+/* --------------------------- client IP --------------------------- */
+
+function parseCidrList(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const c = parseCidr(s);
+      if (!c) console.warn("[ip] ignoring invalid TRUSTED_PROXIES entry:", s);
+      return c;
+    })
+    .filter(Boolean);
+}
+
+const TRUSTED = parseCidrList(process.env.TRUSTED_PROXIES);
+const CLIENT_IP_HEADER = String(process.env.CLIENT_IP_HEADER || "").trim().toLowerCase() || null;
+
+/**
+ * The buyer's IP and where it came from.
+ * @param {Headers} headers
+ * @returns {{ ip: string|null, source: string|null }}
+ *   source: the header name ("cf-connecting-ip") or "x-forwarded-for"
+ */
+export function clientIpFrom(headers, { trusted = TRUSTED, clientIpHeader = CLIENT_IP_HEADER } = {}) {
+  if (clientIpHeader) {
+    const ip = parseIp(headers.get(clientIpHeader));
+    if (ip) return { ip: ip.text, source: clientIpHeader };
+  }
+
+  // Right to left: skip our own proxies, the first hop we don't trust is the client.
+  // Anything further left was supplied by that client and can't be trusted.
+  const hops = String(headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  for (let i = hops.length - 1; i >= 0; i--) {
+    const ip = parseIp(hops[i]);
+    if (!ip) return { ip: null, source: null }; // garbage in the chain: don't guess
+    if (inAnyCidr(ip, trusted)) continue;
+    return { ip: ip.text, source: "x-forwarded-for" };
+  }
+  return { ip: null, source: null };
+}
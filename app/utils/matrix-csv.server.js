@@ -0,0 +1,214 @@
+// app/utils/matrix-csv.server.js
+//
+// CSV <-> consent matrix rows. No app imports on purpose: scripts/matrix-csv.js
+// loads this file with plain node.
+
+export const CSV_COLUMNS = [
+  "country_code",
+  "region_code",
+  "country",
+  "customer_type",
+  "widget",
+  "email_method",
+  "sms_widget",
+  "sms_method",
+];
+const REQUIRED_COLUMNS = ["country_code", "customer_type", "widget", "email_method"];
+
+const WIDGETS = ["OPT_IN", "OPT_OUT", "NO_CHECKBOX"];
+const EMAIL_METHODS = ["SOI", "DOI"];
+// SMS methods use the same values. Both SMS columns are optional; a blank one
+// means express opt-in
+const SMS_METHODS = EMAIL_METHODS;
+export const DEFAULT_SMS_WIDGET = "OPT_IN";
+export const DEFAULT_SMS_METHOD = "SOI";
+const CUSTOMER_TYPES = ["single", "repeat"];
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+// ISO 3166-1 alpha-2 check via ICU: unknown codes come back unchanged or as "Unknown Region"
+export function isIsoCountry(code) {
+  if (!/^[A-Z]{2}$/.test(code)) return false;
+  try {
+    const name = regionNames.of(code);
+    return !!name && name !== code && name !== "Unknown Region";
+  } catch {
+    return false;
+  }
+}
+
+// RFC 4180-ish: quoted fields, "" escapes, CRLF or LF line endings
+export function parseCsv(text) {
+  const out = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some((f) => f.trim() !== "")) out.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some((f) => f.trim() !== "")) out.push(row);
+  return out;
+}
+
+function csvField(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function matrixToCsv(rows) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const r of rows) lines.push(CSV_COLUMNS.map((c) => csvField(r[c])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Parse + validate a CSV into matrix rows (consent_matrix.json format).
+ * Never throws on bad data: returns every problem with its CSV line number.
+ * @returns {{ rows: object[], errors: { line: number, message: string }[] }}
+ */
+export function csvToMatrixRows(text) {
+  const table = parseCsv(text);
+  const errors = [];
+  if (!table.length) return { rows: [], errors: [{ line: 1, message: "File is empty" }] };
+
+  const header = table[0].map((h) => h.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter((c) => !header.includes(c));
+  if (missing.length) {
+    return { rows: [], errors: [{ line: 1, message: `Missing column(s): ${missing.join(", ")}` }] };
+  }
+  const col = (cells, name) => {
+    const idx = header.indexOf(name);
+    return idx === -1 ? "" : String(cells[idx] ?? "").trim();
+  };
+
+  const rows = [];
+  const seen = new Map(); // "US-CA|single" → line
+  table.slice(1).forEach((cells, i) => {
+    const line = i + 2;
+    const countryCode = col(cells, "country_code").toUpperCase();
+    const regionCode = col(cells, "region_code").toUpperCase();
+    const customerType = col(cells, "customer_type").toLowerCase();
+    const widget = col(cells, "widget").toUpperCase();
+    const emailMethod = col(cells, "email_method").toUpperCase();
+    const smsWidget = col(cells, "sms_widget").toUpperCase();
+    const smsMethod = col(cells, "sms_method").toUpperCase();
+    const rowErrors = [];
+
+    if (!isIsoCountry(countryCode)) rowErrors.push(`invalid country_code "${countryCode}"`);
+    if (regionCode && !new RegExp(`^${countryCode}-[A-Z0-9]{1,3}$`).test(regionCode)) {
+      rowErrors.push(`region_code "${regionCode}" must look like ${countryCode}-XX`);
+    }
+    if (!CUSTOMER_TYPES.includes(customerType)) rowErrors.push(`customer_type must be single or repeat`);
+    if (!WIDGETS.includes(widget)) rowErrors.push(`invalid widget "${col(cells, "widget")}"`);
+    if (!EMAIL_METHODS.includes(emailMethod)) rowErrors.push(`invalid email_method "${col(cells, "email_method")}"`);
+    if (smsWidget && !WIDGETS.includes(smsWidget)) rowErrors.push(`invalid sms_widget "${col(cells, "sms_widget")}"`);
+    if (smsMethod && !SMS_METHODS.includes(smsMethod)) rowErrors.push(`invalid sms_method "${col(cells, "sms_method")}"`);
+
+    const key = `${regionCode || countryCode}|${customerType}`;
+    if (seen.has(key)) rowErrors.push(`duplicate of line ${seen.get(key)} (${key.replace("|", " / ")})`);
+    else seen.set(key, line);
+
+    if (rowErrors.length) {
+      for (const message of rowErrors) errors.push({ line, message });
+      return;
+    }
+
+    rows.push({
+      country_code: countryCode,
+      ...(regionCode ? { region_code: regionCode } : {}),
+      country: col(cells, "country") || regionNames.of(countryCode),
+      customer_type: customerType,
+      widget: widget.toLowerCase(),
+      email_method: emailMethod,
+      ...(smsWidget ? { sms_widget: smsWidget.toLowerCase() } : {}),
+      ...(smsMethod ? { sms_method: smsMethod } : {}),
+    });
+  });
+
+  if (!rows.length && !errors.length) errors.push({ line: 2, message: "No rows found" });
+  return { rows, errors };
+}
+
+const rowKey = (r) => `${String(r.region_code || r.country_code).toUpperCase()}|${String(r.customer_type || "single").toLowerCase()}`;
+
+/**
+ * Row-level diff between two matrices (same format as consent_matrix.json).
+ * @returns {{ key: string, change: "added"|"removed"|"changed", before: object|null, after: object|null }[]}
+ */
+export function diffMatrix(current, next) {
+  const before = new Map(current.map((r) => [rowKey(r), r]));
+  const after = new Map(next.map((r) => [rowKey(r), r]));
+  const up = (v) => String(v ?? "").toUpperCase();
+  const same = (a, b) =>
+    up(a.widget) === up(b.widget) &&
+    up(a.email_method) === up(b.email_method) &&
+    up(a.sms_widget || DEFAULT_SMS_WIDGET) === up(b.sms_widget || DEFAULT_SMS_WIDGET) &&
+    up(a.sms_method || DEFAULT_SMS_METHOD) === up(b.sms_method || DEFAULT_SMS_METHOD);
+
+  const out = [];
+  for (const [key, b] of after) {
+    const a = before.get(key);
+    if (!a) out.push({ key, change: "added", before: null, after: b });
+    else if (!same(a, b)) out.push({ key, change: "changed", before: a, after: b });
+  }
+  for (const [key, a] of before) {
+    if (!after.has(key)) out.push({ key, change: "removed", before: a, after: null });
+  }
+  return out.sort((x, y) => x.key.localeCompare(y.key));
+}
+
+// Apply ConsentRuleOverride rows on top of matrix rows (for exports)
+export function applyOverrides(rows, overrides) {
+  const byKey = new Map(
+    overrides.map((o) => [`${String(o.countryCode).toUpperCase()}|${String(o.customerType).toLowerCase()}`, o])
+  );
+  const out = rows.map((r) => {
+    const o = byKey.get(rowKey(r));
+    if (!o) return r;
+    byKey.delete(rowKey(r));
+    return {
+      ...r,
+      widget: String(o.widget).toLowerCase(),
+      email_method: o.emailMethod,
+      ...(o.smsWidget ? { sms_widget: String(o.smsWidget).toLowerCase() } : {}),
+      ...(o.smsMethod ? { sms_method: o.smsMethod } : {}),
+    };
+  });
+
+  // Region-only overrides inherit the rest of their country row
+  for (const o of byKey.values()) {
+    const code = String(o.countryCode).toUpperCase();
+    if (!/^[A-Z]{2}-/.test(code)) continue;
+    const parent = rows.find((r) => !r.region_code && r.country_code === code.slice(0, 2));
+    const smsWidget = o.smsWidget ? String(o.smsWidget).toLowerCase() : parent?.sms_widget;
+    const smsMethod = o.smsMethod || parent?.sms_method;
+    out.push({
+      country_code: code.slice(0, 2),
+      region_code: code,
+      country: parent?.country || code.slice(0, 2),
+      customer_type: o.customerType,
+      widget: String(o.widget).toLowerCase(),
+      email_method: o.emailMethod,
+      ...(smsWidget ? { sms_widget: smsWidget } : {}),
+      ...(smsMethod ? { sms_method: smsMethod } : {}),
+    });
+  }
+  return out;
+}
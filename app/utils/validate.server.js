@@ -0,0 +1,69 @@
+// app/utils/validate.server.js
+//
+// Small request-body validation for the public widget API. A schema maps each
+// field to a rule; every failure carries a stable code so callers can return
+// { code, details } rather than free text.
+//
+// Rule:
+//   type       "string" | "boolean" | "object", or an array of them
+//   required   missing / null / "" fails with MISSING_FIELDS
+//   oneOf      allowed values (after normalization)
+//   pattern    RegExp for strings
+//   maxLength  strings: length; objects: length of their JSON
+//   upper / lower / trim   string normalization before the checks
+//   code       error code for anything but a missing field (default INVALID_FIELD)
+
+const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : typeof v);
+
+/**
+ * @param {unknown} body
+ * @param {Record<string, object>} schema
+ * @returns {{ value: Record<string, any>, errors: { field: string, code: string, message: string }[] }}
+ *   value: only schema fields, normalized; absent optional fields are null
+ */
+export function validateBody(body, schema) {
+  const value = {};
+  const errors = [];
+  if (typeOf(body) !== "object") {
+    return { value, errors: [{ field: "", code: "INVALID_JSON", message: "Body must be a JSON object" }] };
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const code = rule.code || "INVALID_FIELD";
+    let v = body[field];
+    if (typeof v === "string") {
+      if (rule.trim !== false) v = v.trim();
+      if (rule.upper) v = v.toUpperCase();
+      if (rule.lower) v = v.toLowerCase();
+    }
+
+    if (v == null || v === "") {
+      if (rule.required) errors.push({ field, code: "MISSING_FIELDS", message: `${field} is required` });
+      value[field] = null;
+      continue;
+    }
+
+    const types = [].concat(rule.type || "string");
+    if (!types.includes(typeOf(v))) {
+      errors.push({ field, code, message: `${field} must be ${types.join(" or ")}` });
+      continue;
+    }
+    if (rule.oneOf && !rule.oneOf.includes(v)) {
+      errors.push({ field, code, message: `${field} must be one of ${rule.oneOf.join(", ")}` });
+      continue;
+    }
+    if (rule.pattern && typeof v === "string" && !rule.pattern.test(v)) {
+      errors.push({ field, code, message: `${field} has an invalid format` });
+      continue;
+    }
+    if (rule.maxLength) {
+      const length = typeof v === "string" ? v.length : JSON.stringify(v).length;
+      if (length > rule.maxLength) {
+        errors.push({ field, code, message: `${field} is longer than ${rule.maxLength} characters` });
+        continue;
+      }
+    }
+    value[field] = v;
+  }
+  return { value, errors };
+}
@@ -1,7 +1,8 @@
 // extensions/consent-widget/checkout.js
 import '@shopify/ui-extensions/preact';
 import {render} from "preact";
-import { useEffect, useState } from "preact/hooks";
+import { useEffect, useRef, useState } from "preact/hooks";
+import { allowedApiBase, configuredApiBase } from "./config.js";
 
 // ENTRY POINT
 export default async () => {
@@ -14,47 +15,95 @@ function Extension() {
     displayText: "",
     privacyUrl: "",
     mode: "NO_CHECKBOX",
+    smsMode: "NO_CHECKBOX",
+    smsDisplayText: "",
+    purposes: [],
     marketingPreferences: "",
   });
 
   const [sessionId, setSessionId] = useState(null);
   const [optStatus, setOptStatus] = useState(false);
-
-  const API_BASE = "https://data-consent-phox-production.up.railway.app";
+  const [smsOptStatus, setSmsOptStatus] = useState(false);
+  // Purpose key → ticked
+  const [purposeStatus, setPurposeStatus] = useState({});
+  // Events go out one at a time, in order (a retried older event must not
+  // land after a newer one)
+  const sendQueue = useRef(Promise.resolve());
+  // Last notice we reported as rendered (session + mode + text hash)
+  const renderedKey = useRef(null);
+
+  // Where settings are loaded from (build default or the store's setting, allowlisted)
+  const configuredBase = configuredApiBase(shopify.settings.value?.api_base);
+  // Where events go: the canonical base the server returned, if it is allowlisted too
+  const [apiBase, setApiBase] = useState(null);
 
   const checkoutToken = shopify.checkoutToken.value ?? '';
   const email = (shopify.buyerIdentity?.email?.value || '').toLowerCase().trim();
+  // Lets the server apply regional rules (US-CA, CA-QC…) when an address is known
+  const shippingCountry = shopify.shippingAddress?.value?.countryCode || '';
+  const shippingProvince = shopify.shippingAddress?.value?.provinceCode || '';
+  // More country signals; the shop's precedence setting decides which one wins
+  const billingCountry = shopify.billingAddress?.value?.countryCode || '';
+  const buyerCountry = shopify.localization?.country?.value?.isoCode || '';
+  // Checkout language, so the server can serve translated copy
+  const buyerLocale = shopify.localization?.language?.value?.isoCode || '';
+  // SMS consent is only asked for when there is a number to text
+  const phone = shopify.buyerIdentity?.phone?.value || shopify.shippingAddress?.value?.phone || '';
+  const t = (key) => shopify.i18n.translate(key);
 
   // ===== LOAD SETTINGS FROM SERVER =====
+  // Re-requested whenever a country signal changes (buyer enters an address,
+  // switches market…), so the mode always matches where they are now
   useEffect(() => {
 
     let cancelled = false;
 
     (async () => {
+      if (!configuredBase) {
+        console.error("Consent widget: no allowed API base URL configured for this build");
+        return;
+      }
       try {
         const token = await shopify.sessionToken.get();
 
-        const res = await fetch(`${API_BASE}/api/settings/privacy`, {
-          method: "GET",
+        const res = await fetch(`${configuredBase}/api/v1/consent/sessions`, {
+          method: "POST",
           headers: {
             Authorization: `Bearer ${token}`,
-            "X-Checkout-Token": checkoutToken,
-            "X-Customer-Email": email,
+            "Content-Type": "application/json",
           },
+          body: JSON.stringify({
+            checkoutToken,
+            email,
+            locale: buyerLocale,
+            shippingCountry,
+            shippingProvince,
+            billingCountry,
+            buyerCountry,
+          }),
           cache: "no-store",
         });
 
         const json = await res.json();
         if (cancelled) return;
+        if (!json.ok) {
+          console.error("Consent widget: session request failed", json.code, json.error);
+          return;
+        }
 
-        setSettings(json);
+        const { session } = json;
+        setSettings(session);
 
-        if (json.sessionId) {
-          setSessionId(json.sessionId);
+        const canonical = allowedApiBase(json.apiBase);
+        if (!canonical) console.error("Consent widget: refusing API base from server", json.apiBase);
+        setApiBase(canonical);
+
+        if (session.id) {
+          setSessionId(session.id);
           await shopify.applyAttributeChange({
             type: "updateAttribute",
             key: "consent_uuid",
-            value: json.sessionId,
+            value: session.id,
           });
         }
       } catch (err) {
@@ -65,25 +114,149 @@ function Extension() {
     return () => {
       cancelled = true;
     };
-  }, [email, checkoutToken]);
+  }, [configuredBase, email, checkoutToken, buyerLocale, shippingCountry, shippingProvince, billingCountry, buyerCountry]);
+
+  // A new mode starts from its default: the old tick meant something else,
+  // and so does the attribute mirrored from it
+  useEffect(() => {
+    setOptStatus(false);
+    if (!shopify.instructions.value.attributes.canUpdateAttributes) return;
+    shopify
+      .applyAttributeChange({ type: "removeAttribute", key: "consent_state" })
+      .catch(() => {});
+  }, [settings.mode]);
+
+  useEffect(() => {
+    setSmsOptStatus(false);
+    if (!shopify.instructions.value.attributes.canUpdateAttributes) return;
+    shopify
+      .applyAttributeChange({ type: "removeAttribute", key: "consent_sms_state" })
+      .catch(() => {});
+  }, [settings.smsMode]);
+
+  // Purpose boxes start from their defaults for the mode; only reset when the
+  // mode or the defaults change, not on every settings reload
+  const purposes = Array.isArray(settings.purposes) ? settings.purposes : [];
+  const purposeDefaults = JSON.stringify(purposes.map((p) => [p.key, !!p.default]));
+  useEffect(() => {
+    setPurposeStatus(Object.fromEntries(JSON.parse(purposeDefaults)));
+    if (!shopify.instructions.value.attributes.canUpdateAttributes) return;
+    shopify
+      .applyAttributeChange({ type: "removeAttribute", key: "consent_purposes" })
+      .catch(() => {});
+  }, [settings.mode, purposeDefaults]);
+
+  // Queue an event for api.consent.event (no-op until we have a session and a trusted backend)
+  const sendEvent = (type, fields = {}) => {
+    if (!apiBase || !sessionId) return;
+    const event = { eventId: newEventId(), type, ...fields };
+    sendQueue.current = sendQueue.current.then(() =>
+      postEventWithRetry(`${apiBase}/api/v1/consent/sessions/${encodeURIComponent(sessionId)}/events`, event).catch((err) => {
+        console.error(`${type} failed`, err);
+      })
+    );
+  };
+
+  // ===== IMPRESSION =====
+  // Evidence the notice was displayed: which mode and exactly which text (hash)
+  useEffect(() => {
+    if (!apiBase || !sessionId) return;
+    let cancelled = false;
+    (async () => {
+      const textHash = await sha256Hex(settings.displayText || "");
+      const key = `${sessionId}:${settings.mode}:${textHash}`;
+      if (cancelled || renderedKey.current === key) return;
+      renderedKey.current = key;
+      sendEvent("widget_rendered", {
+        note: JSON.stringify({
+          source: "Checkout",
+          mode: settings.mode,
+          smsMode: phone ? settings.smsMode : null,
+          purposes: settings.mode !== "NO_CHECKBOX" ? (settings.purposes || []).map((p) => p.key) : [],
+          textHash,
+          locale: settings.locale || null,
+        }),
+      });
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [apiBase, sessionId, settings.mode, settings.displayText]);
 
   // ===== FEATURE CHECK (2025-10 requirement) =====
   if (!shopify.instructions.value.attributes.canUpdateAttributes) {
     return (
-      <s-banner heading="Marketing consent" tone="warning">
-        Attribute changes are not supported in this checkout.
+      <s-banner heading={t("marketingConsent")} tone="warning">
+        {t("attributeChangesAreNotSupported")}
       </s-banner>
     );
   }
 
-  const { mode, displayText, privacyUrl, marketingPreferences } = settings;
+  const { mode, smsMode, displayText, smsDisplayText, privacyUrl, marketingPreferences } = settings;
+  const showSms = !!phone && !!smsMode && smsMode !== "NO_CHECKBOX";
+
+  // One handler per channel: tick → marketing state, mirrored onto the order and sent as an event
+  const onToggle = async (channel, e) => {
+    const sms = channel === "sms";
+    const channelMode = sms ? smsMode : mode;
+    // Web component event target has checked property at runtime
+    const checked = e.target['checked'] ?? !(sms ? smsOptStatus : optStatus);
+    (sms ? setSmsOptStatus : setOptStatus)(checked);
+
+    const intendsSubscribe =
+      channelMode === "OPT_OUT" ? !checked : channelMode === "OPT_IN" ? checked : null;
+
+    const state =
+      intendsSubscribe === true
+        ? "SUBSCRIBED"
+        : intendsSubscribe === false
+        ? "UNSUBSCRIBED"
+        : "NOT_SUBSCRIBED";
+
+    // Mirror the choice onto the order: the orders webhook falls back to
+    // it if the event below never arrives. Prefixed with the mode so a
+    // choice made before a mode change isn't read under the new one.
+    const key = sms ? "consent_sms_state" : "consent_state";
+    try {
+      await shopify.applyAttributeChange({
+        type: "updateAttribute",
+        key,
+        value: `${channelMode}:${state}`,
+      });
+    } catch (err) {
+      console.error(`${key} attribute failed`, err);
+    }
+
+    // Without a trusted backend nothing is sent; the attribute above still counts
+    sendEvent("shopify_checkout_toggle", { channel, state, note: "checkout" });
+  };
+
+  // Purpose boxes are always "tick to agree", whatever the main checkbox's mode
+  const onPurposeToggle = async (key, e) => {
+    const checked = e.target['checked'] ?? !purposeStatus[key];
+    const next = { ...purposeStatus, [key]: checked };
+    setPurposeStatus(next);
+
+    // All purposes in one attribute: "OPT_IN:newsletter=1,partners=0"
+    try {
+      await shopify.applyAttributeChange({
+        type: "updateAttribute",
+        key: "consent_purposes",
+        value: `${mode}:${Object.entries(next).map(([k, v]) => `${k}=${v ? 1 : 0}`).join(",")}`,
+      });
+    } catch (err) {
+      console.error("consent_purposes attribute failed", err);
+    }
+
+    sendEvent("purpose_toggle", { purpose: key, state: checked ? "SUBSCRIBED" : "UNSUBSCRIBED", note: "checkout" });
+  };
 
   return (
     <s-stack gap="base">
       {/* ===== MODAL ===== */}
       <s-modal id="preferences-modal" >
         <s-stack gap="base">
-          <s-heading>Marketing preferences</s-heading>
+          <s-heading>{t("marketingPreferences")}</s-heading>
           {renderMarketing(marketingPreferences)}
         </s-stack>
       </s-modal>
@@ -94,40 +267,7 @@ function Extension() {
           <s-grid-item>
             <s-checkbox
               checked={optStatus}
-              onChange={async (e) => {
-                // Web component event target has checked property at runtime
-                const checked = e.target['checked'] ?? !optStatus;
-                setOptStatus(checked);
-
-                const intendsSubscribe =
-                  mode === "OPT_OUT" ? !checked : mode === "OPT_IN" ? checked : null;
-
-                const state =
-                  intendsSubscribe === true
-                    ? "SUBSCRIBED"
-                    : intendsSubscribe === false
-                    ? "UNSUBSCRIBED"
-                    : "NOT_SUBSCRIBED";
-
-                try {
-                  const token = await shopify.sessionToken.get();
-                  await fetch(`${API_BASE}/api/consent/event`, {
-                    method: "POST",
-                    headers: {
-                      Authorization: `Bearer ${token}`,
-                      "Content-Type": "application/json",
-                    },
-                    body: JSON.stringify({
-                      sessionId,
-                      type: "shopify_checkout_toggle",
-                      state,
-                      note: "checkout",
-                    }),
-                  });
-                } catch (err) {
-                  console.error("toggle failed", err);
-                }
-              }}
+              onChange={(e) => onToggle("email", e)}
             />
           </s-grid-item>
           <s-grid-item>
@@ -136,15 +276,49 @@ function Extension() {
         </s-grid>
       )}
 
+      {/* ===== PURPOSE CHECKBOXES (nothing is asked under NO_CHECKBOX) ===== */}
+      {mode !== "NO_CHECKBOX" &&
+        purposes.map((p) => (
+          <s-grid key={p.key} gridTemplateColumns="1fr auto" gap="base">
+            <s-grid-item>
+              <s-checkbox checked={!!purposeStatus[p.key]} onChange={(e) => onPurposeToggle(p.key, e)} />
+            </s-grid-item>
+            <s-grid-item>
+              <s-text>{renderMarketing(p.text)}</s-text>
+            </s-grid-item>
+          </s-grid>
+        ))}
+
+      {/* ===== SMS CHECKBOX (buyer has a phone number) ===== */}
+      {showSms && (
+        <s-grid gridTemplateColumns="1fr auto" gap="base">
+          <s-grid-item>
+            <s-checkbox checked={smsOptStatus} onChange={(e) => onToggle("sms", e)} />
+          </s-grid-item>
+          <s-grid-item>
+            <s-text>{renderMarketing(smsDisplayText)}</s-text>
+          </s-grid-item>
+        </s-grid>
+      )}
+
       {/* ===== TEXT + LINK TO OPEN MODAL ===== */}
       <s-text>
-        <s-link command="--show" commandFor="preferences-modal" tone="neutral"><s-text type="strong" color="subdued">Click here</s-text></s-link>
+        <s-link
+          command="--show"
+          commandFor="preferences-modal"
+          tone="neutral"
+          onClick={() => sendEvent("preferences_modal_opened", { note: JSON.stringify({ source: "Checkout", mode }) })}
+        ><s-text type="strong" color="subdued">{t("clickHere")}</s-text></s-link>
         {" "}
-        for an overview of how your personal data is processed for marketing purposes,
-        or see our{" "}
+        {t("dataProcessingOverview")}{" "}
         <s-text type="strong">
-          <s-link href={privacyUrl} target="_blank" tone="neutral">
-            Privacy Policy
+          <s-link
+            href={privacyUrl}
+            target="_blank"
+            tone="neutral"
+            onClick={() => sendEvent("privacy_link_clicked", { note: JSON.stringify({ source: "Checkout", mode, privacyUrl }) })}
+          >
+            {t("privacyPolicy")}
           </s-link>
         </s-text>
         .
@@ -153,6 +327,56 @@ function Extension() {
   );
 }
 
+//
+// ===============================================================
+//  EVENT DELIVERY
+// ===============================================================
+//
+
+// Idempotency key: the server stores an event once per id, so retries are safe
+function newEventId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Same digest the admin computes over the session's stored text, so the two can be compared
+async function sha256Hex(text) {
+  if (typeof crypto === "undefined" || !crypto.subtle || typeof TextEncoder === "undefined") return null;
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+const RETRY_DELAYS_MS = [500, 1500, 4000, 10000];
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Network errors, 429 and 5xx are retried with backoff (+ jitter); other 4xx won't improve.
+// A 429's Retry-After is honored (capped so a stuck toggle doesn't wait minutes)
+async function postEventWithRetry(url, event) {
+  for (let attempt = 0; ; attempt++) {
+    let retryable;
+    let retryAfterMs = 0;
+    try {
+      const token = await shopify.sessionToken.get();
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(event),
+      });
+      if (res.ok) return;
+      retryable = res.status === 429 || res.status >= 500;
+      if (res.status === 429) retryAfterMs = Math.min(Number(res.headers.get("Retry-After")) * 1000 || 0, 30000);
+      if (!retryable || attempt >= RETRY_DELAYS_MS.length) throw new Error(`HTTP ${res.status}`);
+    } catch (err) {
+      if (retryable === false || attempt >= RETRY_DELAYS_MS.length) throw err;
+    }
+    const delay = Math.max(RETRY_DELAYS_MS[attempt], retryAfterMs);
+    await sleep(delay + Math.floor(Math.random() * delay * 0.2));
+  }
+}
+
 //
 // ===============================================================
 //  MARKETING TEXT PARSER (converted to Shopify 2025-10 components)
@@ -0,0 +1,87 @@
+// extensions/consent-widget/src/OrderConsent.jsx
+//
+// Thank-you / order status block: the marketing choice recorded for this
+// order, and one button to change it (api.consent.order).
+import { useEffect, useState } from "preact/hooks";
+import { configuredApiBase } from "./config.js";
+
+/**
+ * @param {{ surface: "thank-you"|"order-status", headers: () => Record<string, string> }} props
+ *   headers: what identifies the order to the server on this surface
+ */
+export function OrderConsent({ surface, headers }) {
+  const base = configuredApiBase(shopify.settings?.value?.api_base);
+  const url = base ? `${base}/api/consent/order?surface=${surface}` : null;
+  const t = (key) => shopify.i18n.translate(key);
+
+  // { state: "SUBSCRIBED"|…|null, pending } once loaded; null hides the block
+  const [choice, setChoice] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(false);
+
+  const request = async (init = {}) => {
+    const token = await shopify.sessionToken.get();
+    const res = await fetch(url, {
+      ...init,
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json", ...headers() },
+      cache: "no-store",
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  };
+
+  useEffect(() => {
+    if (!url) return;
+    let cancelled = false;
+    request()
+      .then((json) => {
+        if (!cancelled) setChoice({ state: json.state, pending: json.pending });
+      })
+      .catch(() => {}); // no session for this order (widget not shown) or no customer to change: render nothing
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  const change = async (subscribe) => {
+    setBusy(true);
+    setError(false);
+    try {
+      const json = await request({ method: "POST", body: JSON.stringify({ subscribe }) });
+      setChoice({ state: json.state, pending: json.pending });
+    } catch (err) {
+      console.error("Consent change failed", err);
+      setError(true);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!choice) return null;
+
+  const subscribed = choice.state === "SUBSCRIBED";
+  const known = !!choice.state;
+
+  return (
+    <s-section heading={t("yourMarketingChoice")}>
+      <s-stack gap="base">
+        <s-text>
+          {!known ? t("choicePending") : subscribed ? t("choiceSubscribed") : t("choiceNotSubscribed")}
+        </s-text>
+        <s-stack direction="inline" gap="base">
+          {(!known || !subscribed) && (
+            <s-button variant={known ? "primary" : "secondary"} loading={busy} onClick={() => change(true)}>
+              {t("subscribe")}
+            </s-button>
+          )}
+          {(!known || subscribed) && (
+            <s-button variant="secondary" loading={busy} onClick={() => change(false)}>
+              {t("unsubscribe")}
+            </s-button>
+          )}
+        </s-stack>
+        {error && <s-text tone="critical">{t("changeFailed")}</s-text>}
+      </s-stack>
+    </s-section>
+  );
+}
@@ -0,0 +1,12 @@
+// extensions/consent-widget/src/OrderStatus.jsx
+import '@shopify/ui-extensions/preact';
+import { render } from "preact";
+import { OrderConsent } from "./OrderConsent.jsx";
+
+export default async () => {
+  // Signed-in customer account: the server checks the order is theirs
+  render(
+    <OrderConsent surface="order-status" headers={() => ({ "X-Order-Id": shopify.order.value?.id ?? "" })} />,
+    document.body
+  );
+};
@@ -0,0 +1,98 @@
+// extensions/consent-widget/src/PreferenceCenter.jsx
+//
+// Customer account profile block: marketing choices per channel and purpose,
+// each saved as soon as it's ticked (api.consent.preferences).
+import '@shopify/ui-extensions/preact';
+import { render } from "preact";
+import { useEffect, useState } from "preact/hooks";
+import { configuredApiBase } from "./config.js";
+
+export default async () => {
+  render(<PreferenceCenter />, document.body);
+};
+
+function PreferenceCenter() {
+  const base = configuredApiBase(shopify.settings?.value?.api_base);
+  const url = base ? `${base}/api/consent/preferences` : null;
+  const t = (key) => shopify.i18n.translate(key);
+
+  // { email, sms, purposes } as returned by the server; null until loaded
+  const [prefs, setPrefs] = useState(null);
+  // Row being saved ("email", "sms", "purpose:newsletter")
+  const [saving, setSaving] = useState(null);
+  const [error, setError] = useState(false);
+
+  const request = async (init = {}) => {
+    const token = await shopify.sessionToken.get();
+    const res = await fetch(url, {
+      ...init,
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      cache: "no-store",
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  };
+
+  useEffect(() => {
+    if (!url) return;
+    let cancelled = false;
+    request()
+      .then((json) => {
+        if (!cancelled) setPrefs(json);
+      })
+      .catch((err) => console.error("Failed to load marketing preferences", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  const save = async (row, change, e) => {
+    const subscribe = !!e.target['checked'];
+    setSaving(row);
+    setError(false);
+    try {
+      setPrefs(await request({ method: "POST", body: JSON.stringify({ ...change, subscribe }) }));
+    } catch (err) {
+      console.error("Failed to save marketing preference", err);
+      setError(true);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (!prefs) return null;
+
+  return (
+    <s-section heading={t("marketingPreferences")}>
+      <s-stack gap="base">
+        <s-text color="subdued">{t("preferenceCenterIntro")}</s-text>
+        {prefs.email.available && (
+          <s-checkbox
+            label={t("emailMarketing")}
+            checked={prefs.email.state === "SUBSCRIBED"}
+            disabled={!!saving}
+            onChange={(e) => save("email", { channel: "email" }, e)}
+          />
+        )}
+        {prefs.sms.available && (
+          <s-checkbox
+            label={t("smsMarketing")}
+            checked={prefs.sms.state === "SUBSCRIBED"}
+            disabled={!!saving}
+            onChange={(e) => save("sms", { channel: "sms" }, e)}
+          />
+        )}
+        {prefs.purposes.map((p) => (
+          <s-checkbox
+            key={p.key}
+            label={p.label}
+            checked={p.state === "SUBSCRIBED"}
+            disabled={!!saving}
+            onChange={(e) => save(`purpose:${p.key}`, { purpose: p.key }, e)}
+          />
+        ))}
+        {error && <s-text tone="critical">{t("changeFailed")}</s-text>}
+      </s-stack>
+    </s-section>
+  );
+}
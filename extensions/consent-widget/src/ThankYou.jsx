@@ -0,0 +1,12 @@
+// extensions/consent-widget/src/ThankYou.jsx
+import '@shopify/ui-extensions/preact';
+import { render } from "preact";
+import { OrderConsent } from "./OrderConsent.jsx";
+
+export default async () => {
+  // The checkout token ties the page to its ConsentSession before the order is processed
+  render(
+    <OrderConsent surface="thank-you" headers={() => ({ "X-Checkout-Token": shopify.checkoutToken.value ?? "" })} />,
+    document.body
+  );
+};
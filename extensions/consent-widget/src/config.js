@@ -0,0 +1,60 @@
+// extensions/consent-widget/src/config.js
+//
+// Which backend the widget talks to. The environment is fixed at build time:
+// `shopify app dev` builds with NODE_ENV=development, deploys with production.
+//
+// A store can point the widget at another backend with the extension's
+// "API base URL" setting (e.g. a staging store → staging app), but only at a
+// host allowed for this build. The widget never sends buyer data anywhere else.
+
+const ENVIRONMENTS = {
+  production: {
+    apiBase: "https://data-consent-phox-production.up.railway.app",
+    allowedHosts: [
+      "data-consent-phox-production.up.railway.app",
+      "data-consent-production-6bb1.up.railway.app",
+    ],
+  },
+  development: {
+    // The dev tunnel URL changes every session: set it in the extension settings
+    apiBase: null,
+    allowedHosts: ["localhost", "127.0.0.1", "*.trycloudflare.com", "*.ngrok-free.app"],
+  },
+};
+
+export const BUILD_ENV = process.env.NODE_ENV === "development" ? "development" : "production";
+
+const config = ENVIRONMENTS[BUILD_ENV];
+
+function hostAllowed(host) {
+  return config.allowedHosts.some((pattern) =>
+    pattern.startsWith("*.") ? host.endsWith(pattern.slice(1)) : host === pattern
+  );
+}
+
+/**
+ * Normalize a base URL and check it against this build's allowlist.
+ * @param {unknown} value
+ * @returns {string|null} "https://host[:port]" or null when not allowed
+ */
+export function allowedApiBase(value) {
+  if (!value || typeof value !== "string") return null;
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  const local = url.hostname === "localhost" || url.hostname === "127.0.0.1";
+  if (url.protocol !== "https:" && !(local && url.protocol === "http:")) return null;
+  return hostAllowed(url.hostname) ? url.origin : null;
+}
+
+/**
+ * Base URL to load settings from: the store's setting if allowed, else the
+ * build default. null when neither is usable (dev without a setting).
+ * @param {unknown} setting
+ */
+export function configuredApiBase(setting) {
+  return allowedApiBase(setting) || allowedApiBase(config.apiBase);
+}
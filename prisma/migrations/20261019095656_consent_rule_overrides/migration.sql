@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE `ConsentRuleOverride` (
+    `id` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `shop` VARCHAR(191) NOT NULL,
+    `countryCode` VARCHAR(191) NOT NULL,
+    `customerType` VARCHAR(191) NOT NULL DEFAULT 'single',
+    `widget` ENUM('OPT_OUT', 'OPT_IN', 'NO_CHECKBOX') NOT NULL,
+    `emailMethod` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `ConsentRuleOverride_shop_countryCode_customerType_key`(`shop`, `countryCode`, `customerType`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `matrixVersionId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `ConsentMatrixVersion` (
+    `id` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `shop` VARCHAR(191) NOT NULL,
+    `label` VARCHAR(191) NOT NULL,
+    `effectiveFrom` DATETIME(3) NOT NULL,
+    `rows` JSON NOT NULL,
+
+    INDEX `ConsentMatrixVersion_shop_effectiveFrom_idx`(`shop`, `effectiveFrom`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
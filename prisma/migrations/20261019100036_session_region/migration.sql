@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `region` VARCHAR(191) NULL;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `decisionTrace` JSON NULL;
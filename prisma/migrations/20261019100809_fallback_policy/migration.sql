@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `AppSettings` ADD COLUMN `fallbackPolicy` ENUM('STRICTEST', 'COUNTRY', 'OPT_IN') NOT NULL DEFAULT 'STRICTEST',
+    ADD COLUMN `fallbackCountry` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `fallbackApplied` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX `ConsentSession_shop_fallbackApplied_idx` ON `ConsentSession`(`shop`, `fallbackApplied`);
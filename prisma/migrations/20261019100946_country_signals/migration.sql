@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `AppSettings` ADD COLUMN `countrySignalOrder` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `countrySource` VARCHAR(191) NULL,
+    ADD COLUMN `countrySignals` JSON NULL;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `customerType` VARCHAR(191) NULL;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `ipSource` VARCHAR(191) NULL;
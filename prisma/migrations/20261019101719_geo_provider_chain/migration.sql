@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `AppSettings` ADD COLUMN `geoProviderOrder` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `geoLookup` JSON NULL;
@@ -0,0 +1,9 @@
+-- Edge headers and GeoLite used to be separate country signals ("edge", "ip");
+-- both are the "geo" provider chain now. Duplicates are dropped when the order is read.
+UPDATE `AppSettings`
+SET `countrySignalOrder` = TRIM(BOTH ',' FROM
+    REPLACE(REPLACE(REPLACE(REPLACE(
+        CONCAT(',', REPLACE(`countrySignalOrder`, ' ', ''), ','),
+        ',edge,', ',geo,'), ',edge,', ',geo,'),
+        ',ip,', ',geo,'), ',ip,', ',geo,'))
+WHERE CONCAT(',', REPLACE(`countrySignalOrder`, ' ', ''), ',') REGEXP ',(edge|ip),';
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `AppSettings` ADD COLUMN `defaultLocale` VARCHAR(191) NOT NULL DEFAULT 'en';
+
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `locale` VARCHAR(191) NULL,
+    ADD COLUMN `buyerLocale` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `ConsentCopy` (
+    `id` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `shop` VARCHAR(191) NOT NULL,
+    `locale` VARCHAR(191) NOT NULL,
+    `optInText` TEXT NULL,
+    `optOutText` TEXT NULL,
+    `noCheckboxText` TEXT NULL,
+    `marketingInfo` TEXT NULL,
+    `privacyUrl` TEXT NULL,
+
+    UNIQUE INDEX `ConsentCopy_shop_locale_key`(`shop`, `locale`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `ConsentEvent` ADD COLUMN `clientEventId` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `ConsentEvent_clientEventId_key` ON `ConsentEvent`(`clientEventId`);
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE `AppSettings` ADD COLUMN `smsOptInText` TEXT NULL,
+    ADD COLUMN `smsOptOutText` TEXT NULL;
+
+-- AlterTable
+ALTER TABLE `ConsentCopy` ADD COLUMN `smsOptInText` TEXT NULL,
+    ADD COLUMN `smsOptOutText` TEXT NULL;
+
+-- AlterTable
+ALTER TABLE `Customer` ADD COLUMN `phone` VARCHAR(191) NULL,
+    ADD COLUMN `lastSmsState` ENUM('SUBSCRIBED', 'UNSUBSCRIBED', 'NOT_SUBSCRIBED') NULL,
+    ADD COLUMN `lastSmsConsentAt` DATETIME(3) NULL,
+    ADD COLUMN `lastSmsMode` ENUM('OPT_OUT', 'OPT_IN', 'NO_CHECKBOX') NULL;
+
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `smsMode` ENUM('OPT_OUT', 'OPT_IN', 'NO_CHECKBOX') NULL,
+    ADD COLUMN `smsDisplayText` TEXT NULL,
+    ADD COLUMN `smsSubscribed` BOOLEAN NULL;
+
+-- AlterTable
+ALTER TABLE `ConsentEvent` ADD COLUMN `channel` VARCHAR(191) NOT NULL DEFAULT 'email';
+
+-- AlterTable
+ALTER TABLE `ConsentRuleOverride` ADD COLUMN `smsWidget` ENUM('OPT_OUT', 'OPT_IN', 'NO_CHECKBOX') NULL,
+    ADD COLUMN `smsMethod` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `KlaviyoSettings` ADD COLUMN `smsListId` VARCHAR(191) NULL,
+    ADD COLUMN `smsListName` VARCHAR(191) NULL;
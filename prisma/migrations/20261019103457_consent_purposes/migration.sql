@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE `Customer` ADD COLUMN `purposes` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `purposes` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `ConsentEvent` ADD COLUMN `purpose` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `ConsentPurpose` (
+    `id` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `shop` VARCHAR(191) NOT NULL,
+    `key` VARCHAR(191) NOT NULL,
+    `label` VARCHAR(191) NOT NULL,
+    `text` TEXT NOT NULL,
+    `defaultOptIn` BOOLEAN NOT NULL DEFAULT false,
+    `defaultOptOut` BOOLEAN NOT NULL DEFAULT false,
+    `defaultNoCheckbox` BOOLEAN NOT NULL DEFAULT false,
+    `klaviyoListId` VARCHAR(191) NULL,
+    `klaviyoListName` VARCHAR(191) NULL,
+    `klaviyoProperty` VARCHAR(191) NULL,
+    `position` INTEGER NOT NULL DEFAULT 0,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+
+    UNIQUE INDEX `ConsentPurpose_shop_key_key`(`shop`, `key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
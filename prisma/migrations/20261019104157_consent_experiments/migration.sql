@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `ConsentSession` ADD COLUMN `experimentId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `ConsentExperiment` (
+    `id` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `shop` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `mode` ENUM('OPT_OUT', 'OPT_IN', 'NO_CHECKBOX') NOT NULL,
+    `variants` JSON NOT NULL,
+    `startsAt` DATETIME(3) NOT NULL,
+    `endsAt` DATETIME(3) NULL,
+
+    INDEX `ConsentExperiment_shop_mode_idx`(`shop`, `mode`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `ConsentSession_experimentId_idx` ON `ConsentSession`(`experimentId`);
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE `RateLimitBucket` (
+    `key` VARCHAR(255) NOT NULL,
+    `count` INTEGER NOT NULL,
+    `resetAt` DATETIME(3) NOT NULL,
+
+    INDEX `RateLimitBucket_resetAt_idx`(`resetAt`),
+    PRIMARY KEY (`key`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ThrottledRequest` (
+    `id` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `shop` VARCHAR(191) NOT NULL,
+    `endpoint` VARCHAR(191) NOT NULL,
+    `scope` VARCHAR(191) NOT NULL,
+    `subject` VARCHAR(191) NULL,
+    `limit` INTEGER NOT NULL,
+    `windowEndsAt` DATETIME(3) NULL,
+    `ip` VARCHAR(191) NULL,
+
+    INDEX `ThrottledRequest_shop_createdAt_idx`(`shop`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX `ConsentEvent_clientEventId_key` ON `ConsentEvent`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `ConsentEvent_sessionId_clientEventId_key` ON `ConsentEvent`(`sessionId`, `clientEventId`);
@@ -7,11 +7,20 @@ if (!key) {
   process.exit(0);
 }
 
+// GeoLite2-City adds subdivisions (US-CA, CA-QC…) for regional consent rules.
+// e.g. GEOLITE_EDITIONS=GeoLite2-Country,GeoLite2-City
+const editions = (process.env.GEOLITE_EDITIONS || "GeoLite2-Country")
+  .split(",")
+  .map((e) => e.trim())
+  .filter(Boolean);
+
 mkdirSync("geoipdb", { recursive: true });
 
-// Download & unpack GeoLite2 Country
-execSync(
-  `curl -L "https://download.maxmind.com/app/geoip_download?edition_id=GeoLite2-Country&license_key=${key}&suffix=tar.gz" \
-  | tar -xz --strip-components=1 -C geoipdb`,
-  { stdio: "inherit" }
-);
+// Download & unpack each edition
+for (const edition of editions) {
+  execSync(
+    `curl -L "https://download.maxmind.com/app/geoip_download?edition_id=${edition}&license_key=${key}&suffix=tar.gz" \
+    | tar -xz --strip-components=1 -C geoipdb`,
+    { stdio: "inherit" }
+  );
+}
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Import / export a shop's consent matrix as CSV.
+ *
+ * Usage:
+ *   node scripts/matrix-csv.js import --shop=x.myshopify.com --file=matrix.csv [--label=Q3] [--effective-from=2025-07-01] [--dry-run]
+ *   node scripts/matrix-csv.js export --shop=x.myshopify.com [--out=matrix.csv]
+ *
+ * Import validates every row, prints the diff against the version currently in
+ * force and (unless --dry-run) publishes it as a new ConsentMatrixVersion.
+ * Export writes the active version with the shop's overrides applied.
+ */
+
+import "dotenv/config";
+import { readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { PrismaClient } from "@prisma/client";
+import { csvToMatrixRows, diffMatrix, matrixToCsv, applyOverrides } from "../app/utils/matrix-csv.server.js";
+
+const prisma = new PrismaClient();
+
+// ---- CLI args ---------------------------------------------------------------
+const [command, ...args] = process.argv.slice(2);
+const getFlag = (name) => args.some((a) => a === `--${name}`);
+const getArg = (name, def = null) => {
+  const p = args.find((a) => a.startsWith(`--${name}=`));
+  return p ? p.slice(name.length + 3) : def;
+};
+
+const SHOP = getArg("shop") || process.env.SHOP_DOMAIN;
+const DRY_RUN = getFlag("dry-run");
+
+// ---- helpers ----------------------------------------------------------------
+async function activeRows(shop) {
+  const version = await prisma.consentMatrixVersion.findFirst({
+    where: { shop, effectiveFrom: { lte: new Date() } },
+    orderBy: { effectiveFrom: "desc" },
+  });
+  if (version) return { rows: version.rows, label: version.label };
+  const file = join(process.cwd(), "app/data/consent_matrix.json");
+  return { rows: JSON.parse(readFileSync(file, "utf8")), label: "Bundled default" };
+}
+
+async function importCsv() {
+  const file = getArg("file");
+  if (!file) throw new Error("--file is required");
+
+  const { rows, errors } = csvToMatrixRows(readFileSync(file, "utf8"));
+  if (errors.length) {
+    for (const e of errors) console.error(`line ${e.line}: ${e.message}`);
+    throw new Error(`${errors.length} validation error(s); nothing imported`);
+  }
+
+  const current = await activeRows(SHOP);
+  const diff = diffMatrix(current.rows, rows);
+  console.log(`📄 ${rows.length} rows, ${diff.length} change(s) vs "${current.label}"`);
+  for (const d of diff) {
+    const fmt = (r) =>
+      r
+        ? `${String(r.widget).toUpperCase()}/${r.email_method}` +
+          (r.sms_widget || r.sms_method ? ` sms ${String(r.sms_widget || "-").toUpperCase()}/${r.sms_method || "-"}` : "")
+        : "—";
+    console.log(`  ${d.change.padEnd(7)} ${d.key.padEnd(12)} ${fmt(d.before)} → ${fmt(d.after)}`);
+  }
+
+  if (DRY_RUN) {
+    console.log("[DRY RUN] nothing published");
+    return;
+  }
+
+  // Same rule as the admin page: a time needs its offset, or it would be read in
+  // this machine's timezone. A bare date (2026-01-01) is midnight UTC
+  const effectiveRaw = getArg("effective-from");
+  if (effectiveRaw && !/^\d{4}-\d{2}-\d{2}$/.test(effectiveRaw) && !/(Z|[+-]\d{2}:?\d{2})$/i.test(effectiveRaw)) {
+    throw new Error("--effective-from needs a timezone, e.g. 2026-01-01T09:00:00Z or 2026-01-01T09:00:00+01:00");
+  }
+  const effectiveFrom = effectiveRaw ? new Date(effectiveRaw) : new Date();
+  if (Number.isNaN(effectiveFrom.getTime())) throw new Error("--effective-from is not a valid date");
+
+  const version = await prisma.consentMatrixVersion.create({
+    data: {
+      shop: SHOP,
+      label: getArg("label") || `CSV import ${new Date().toISOString().slice(0, 10)}`,
+      effectiveFrom,
+      rows,
+    },
+  });
+  console.log(`✅ Published version ${version.id} effective ${effectiveFrom.toISOString()}`);
+}
+
+async function exportCsv() {
+  const { rows } = await activeRows(SHOP);
+  const overrides = await prisma.consentRuleOverride.findMany({ where: { shop: SHOP } });
+  const csv = matrixToCsv(applyOverrides(rows, overrides));
+
+  const out = getArg("out");
+  if (out) {
+    writeFileSync(out, csv);
+    console.log(`✅ Wrote ${out}`);
+  } else {
+    process.stdout.write(csv);
+  }
+}
+
+// ---- main -------------------------------------------------------------------
+async function main() {
+  if (!SHOP) throw new Error("--shop (or SHOP_DOMAIN) is required");
+  if (command === "import") return importCsv();
+  if (command === "export") return exportCsv();
+  throw new Error(`Unknown command "${command ?? ""}" (expected import | export)`);
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ matrix-csv failed:", e.message || e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });